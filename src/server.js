@@ -1,17 +1,20 @@
 #!/usr/bin/env node
 // Ensure ajv-formats is available before importing @modelcontextprotocol/sdk
 // This fixes module resolution issues with npx
-import 'ajv-formats';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import addFormats from 'ajv-formats';
+import Ajv from 'ajv';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
 import dns from 'node:dns';
-import { Agent } from 'undici';
+import { Agent, WebSocket } from 'undici';
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { fileURLToPath } from 'node:url';
 import crypto from 'node:crypto';
 import { z } from 'zod';
+import { parse as parseYaml } from 'yaml';
 
 const textDecoder = new TextDecoder();
 const DEFAULT_FETCH_TIMEOUT_MS = 10000;
@@ -19,6 +22,45 @@ const DEFAULT_HYDRATE_MIN_MS = 0;
 const DEFAULT_HYDRATE_BACKOFF_MS = 2000; // quick retry on rate limit
 const HYDRATE_IDLE_EXIT_MS = 1500;
 const SUBSCRIBE_IDLE_EXIT_MS = 60000;
+const MAX_ACTIONS = 3; // ntfy rejects messages with more than three action buttons
+const DEFAULT_MAX_ATTACHMENT_BYTES = 15 * 1024 * 1024; // ntfy.sh default attachment size limit
+const DEFAULT_OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_BACKOFF_MS = 2000;
+const OUTBOX_MAX_BACKOFF_MS = 10 * 60 * 1000;
+const DEFAULT_IDEMPOTENCY_WINDOW_SECONDS = 15 * 60;
+const DEFAULT_ASK_TIMEOUT_SECONDS = 50; // stay under the ~60s tool-call timeout of most MCP clients
+const WAIT_PROGRESS_INTERVAL_MS = 10 * 1000;
+const DEFAULT_HISTORY_LIMIT = 1000;
+const DEFAULT_RECONNECT_BASE_MS = 1000;
+const DEFAULT_RECONNECT_MAX_MS = 60 * 1000;
+const RECONNECT_STABLE_MS = 60 * 1000; // a connection that lasted this long resets the backoff
+const RECONNECT_HISTORY_SIZE = 10;
+const DEFAULT_KEEPALIVE_INTERVAL_SECONDS = 45; // ntfy's default keepalive-interval
+const DEFAULT_KEEPALIVE_STALE_FACTOR = 3;
+// Subscription endpoints: newline-delimited JSON (/json), server-sent events (/sse) and WebSocket (/ws)
+const SUBSCRIPTION_TRANSPORTS = ['json', 'sse', 'ws'];
+const SNIPPET_CONTEXT = 60;
+// Filter regexes run against every incoming message, so keep them short and free of repeated groups
+// that backtrack exponentially (see hasAmbiguousRepetition)
+const MAX_FILTER_PATTERN_LENGTH = 200;
+const ANSWERED_QUESTION_RETENTION_MS = 24 * 60 * 60 * 1000;
+// Questions nobody answered are dropped this long after they were asked (their expiresAt)
+const PENDING_QUESTION_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_APPROVAL_EXPIRY_SECONDS = 15 * 60;
+// Built-in ladder; NTFY_ESCALATION_POLICIES entries with the same name override it
+const DEFAULT_ESCALATION_POLICIES = {
+  default: [
+    { afterMinutes: 5, priority: 4 },
+    { afterMinutes: 15, priority: 5 }
+  ]
+};
+// Outgoing messages are stamped with "agent-<name>" when NTFY_AGENT_NAME is set; any other tag of that
+// form (a lowercase name in AGENT_NAME_PATTERN) marks a message from another agent
+const ORIGIN_TAG_PREFIX = 'agent-';
+const AGENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const PUBLISHED_ID_RETENTION_MS = 24 * 60 * 60 * 1000;
+const ACK_RETENTION_MS = 24 * 60 * 60 * 1000; // for acks of messages no longer in the cache
+const APPROVAL_TOKEN = /^approval:(a-[0-9a-f]{6}):(approve|deny):(\d+):([0-9a-f]{32})$/;
 
 // Use a dedicated data directory in the user's home folder to avoid creating files in project roots
 let DATA_DIR = process.env.NTFY_DATA_DIR || path.join(os.homedir(), '.nfty-mcp-server');
@@ -60,6 +102,20 @@ const MESSAGE_CACHE_PATH = process.env.NTFY_CACHE_FILE
   : path.resolve(DATA_DIR, 'nfty-messages.json');
 const PROCESS_LOG_PATH = path.resolve(DATA_DIR, 'nfty-process.log');
 const SUBSCRIPTION_STATE_PATH = path.resolve(DATA_DIR, 'nfty-subscription-state.json');
+const OUTBOX_PATH = path.resolve(DATA_DIR, 'nfty-outbox.json');
+// Kept next to the message cache so NTFY_CACHE_FILE overrides move both together
+const IDEMPOTENCY_PATH = path.resolve(path.dirname(MESSAGE_CACHE_PATH), 'nfty-idempotency.json');
+const ACKS_PATH = path.resolve(path.dirname(MESSAGE_CACHE_PATH), 'nfty-acks.json');
+const HISTORY_PATH = path.resolve(path.dirname(MESSAGE_CACHE_PATH), 'nfty-history.jsonl');
+const PROGRESS_PATH = path.resolve(DATA_DIR, 'nfty-progress.json');
+const QUESTIONS_PATH = path.resolve(DATA_DIR, 'nfty-questions.json');
+const APPROVALS_PATH = path.resolve(DATA_DIR, 'nfty-approvals.json');
+const APPROVAL_KEY_PATH = path.resolve(DATA_DIR, 'nfty-approval.key');
+const ESCALATIONS_PATH = path.resolve(DATA_DIR, 'nfty-escalations.json');
+const PUBLISHED_PATH = path.resolve(DATA_DIR, 'nfty-published.json');
+const TEMPLATES_PATH = process.env.NTFY_TEMPLATES_FILE
+  ? path.resolve(process.env.NTFY_TEMPLATES_FILE)
+  : path.resolve(DATA_DIR, 'nfty-templates.json');
 
 // Configuration is loaded from environment variables set by mcp.json
 // The mcp.json file (typically at ~/.cursor/mcp.json or C:\Users\<user>\.cursor\mcp.json)
@@ -111,6 +167,11 @@ const config = {
     '',
   username: cliArgs.username || process.env.NTFY_USERNAME || '',
   password: cliArgs.password || process.env.NTFY_PASSWORD || '',
+  // Token put into reply/approval buttons, which post from the phone without the server's credentials.
+  // Anyone who can read the topic sees it, so it should only be allowed to publish to the topic.
+  actionToken: process.env.NTFY_ACTION_TOKEN || '',
+  // Named credentials for fan-out targets: {"team": {"authToken": "..."}, "home": {"username": "...", "password": "..."}}
+  authProfiles: parseAuthProfiles(process.env.NTFY_AUTH_PROFILES),
   // Start fresh each run; only process messages from startup forward
   // Use a valid zero-duration cursor so ntfy streams only new events.
   since: cliArgs.since || process.env.NTFY_SINCE || '0s',
@@ -119,22 +180,61 @@ const config = {
   hydrateMinMs: Number(cliArgs.hydrateMinMs || process.env.NTFY_HYDRATE_MIN_MS || DEFAULT_HYDRATE_MIN_MS),
   hydrateBackoffMs: Number(
     cliArgs.hydrateBackoffMs || process.env.NTFY_HYDRATE_BACKOFF_MS || DEFAULT_HYDRATE_BACKOFF_MS
-  )
+  ),
+  maxAttachmentBytes: Number(
+    cliArgs.maxAttachmentBytes || process.env.NTFY_MAX_ATTACHMENT_BYTES || DEFAULT_MAX_ATTACHMENT_BYTES
+  ),
+  // 'json' publishes via the JSON endpoint (falls back to headers on old servers); 'headers' forces header mode
+  publishMode: cliArgs.publishMode || process.env.NTFY_PUBLISH_MODE || 'json',
+  outboxMaxAttempts: Number(process.env.NTFY_OUTBOX_MAX_ATTEMPTS || DEFAULT_OUTBOX_MAX_ATTEMPTS),
+  idempotencyWindowSeconds: Number(
+    process.env.NTFY_IDEMPOTENCY_WINDOW_SECONDS || DEFAULT_IDEMPOTENCY_WINDOW_SECONDS
+  ),
+  // Treat identical send-ntfy calls without an idempotencyKey as duplicates too
+  dedupeByContent: process.env.NTFY_DEDUPE_BY_CONTENT === 'true',
+  // Escalation ladders for unanswered questions: {"<name>": [{ afterMinutes, priority, email, call, topic, baseUrl, authProfile }]}
+  escalationPolicies: parseEscalationPolicies(process.env.NTFY_ESCALATION_POLICIES),
+  // Policy applied to questions that don't name one ('' disables escalation by default)
+  defaultEscalation: process.env.NTFY_ESCALATION_DEFAULT || '',
+  // Stamp outgoing messages with an origin tag so other agents (and later runs) can tell who sent them
+  agentName: parseAgentName(cliArgs.agentName || process.env.NTFY_AGENT_NAME),
+  // Message filter applied to incoming messages; replies to open questions and approvals always get through
+  subscribeFilter: parseSubscribeFilter(process.env.NTFY_SUBSCRIBE_FILTER),
+  // Messages kept in the searchable history (the inbox cache itself holds only the latest 50)
+  historyLimit: Number(process.env.NTFY_HISTORY_LIMIT || DEFAULT_HISTORY_LIMIT),
+  // Subscription reconnect backoff: doubles from the base delay up to the max, with jitter
+  reconnectBaseMs: Number(process.env.NTFY_RECONNECT_BASE_MS || DEFAULT_RECONNECT_BASE_MS),
+  reconnectMaxMs: Number(process.env.NTFY_RECONNECT_MAX_MS || DEFAULT_RECONNECT_MAX_MS),
+  // The stream is declared stale (and reconnected) after keepaliveIntervalSeconds * keepaliveStaleFactor of silence
+  keepaliveIntervalSeconds: Number(process.env.NTFY_KEEPALIVE_INTERVAL_SECONDS || DEFAULT_KEEPALIVE_INTERVAL_SECONDS),
+  keepaliveStaleFactor: Number(process.env.NTFY_KEEPALIVE_STALE_FACTOR || DEFAULT_KEEPALIVE_STALE_FACTOR),
+  // Endpoint the subscription streams from; switch when a proxy buffers or cuts one of them
+  transport: parseTransport(cliArgs.transport || process.env.NTFY_TRANSPORT),
+  // Topics subscribed alongside topic (ntfy's comma-separated multi-topic subscribe); publishing and questions use topic
+  extraTopics: parseTopicList(cliArgs.topics || process.env.NTFY_TOPICS)
 };
 
 // Log final config for diagnostics
 debugLogSync('config:final', {
   topic: config.topic || '(empty)',
+  extraTopics: config.extraTopics,
   baseUrl: config.baseUrl,
   hasAuthToken: !!config.authToken,
   hasUsername: !!config.username,
+  hasActionToken: !!config.actionToken,
+  authProfiles: Object.keys(config.authProfiles),
   since: config.since,
   hydrateMinMs: config.hydrateMinMs,
   hydrateBackoffMs: config.hydrateBackoffMs,
+  maxAttachmentBytes: config.maxAttachmentBytes,
+  publishMode: config.publishMode,
+  transport: config.transport,
+  agentName: config.agentName || '(none)',
   cliArgsProvided: Object.keys(cliArgs).length > 0
 });
 
 const inboxUri = 'ntfy://inbox';
+const statusUri = 'ntfy://status';
 const recentMessages = [];
 let lastCursor = config.since;
 let wasCleanedOnStartup = false;
@@ -143,6 +243,7 @@ let shuttingDown = false;
 let lastHydrateAt = 0;
 let hydrateBackoffUntil = 0;
 const fetchDispatcher = createIpv4Dispatcher();
+const jsonPublishUnsupported = new Set(); // base URLs that rejected JSON publishing
 let hydratedOnce = false;
 // debugLogFile is now defined earlier for early diagnostics
 let releaseLock = null;
@@ -150,9 +251,45 @@ const messageWaiters = new Set();
 let subscriptionTask = null;
 let subscriptionId = null; // Track subscription ID to avoid duplicates
 let subscriptionStartTime = null; // Track when subscription started
+// Reconnect bookkeeping for the supervised subscription loop; written to the subscription state file
+const subscriptionReconnects = { total: 0, consecutiveFailures: 0, nextAttemptAt: null, recent: [] };
+// Liveness of the current stream (ISO timestamps); a half-open connection shows up as keepalives stopping
+const subscriptionHealth = { connectedSince: null, lastKeepaliveAt: null, lastMessageAt: null, lastError: null, lastErrorAt: null };
+// Inbound and publish counters since startup, reported by subscription-status and ntfy://status
+const statusCounters = { received: 0, duplicates: 0, filtered: 0, published: 0, publishFailed: 0, queued: 0, rateLimited: 0, lastPublishError: null };
 let messageVersion = 0;
 let processLogEntryId = null;
 let processLogClosed = false;
+// Failed publishes waiting for retry; persisted to OUTBOX_PATH so they survive restarts
+const outbox = [];
+let outboxTimer = null;
+let outboxTimerEnabled = false;
+let outboxFlushing = null; // the running flush, so callers can wait for it
+// Results of recent send-ntfy calls keyed by idempotency key; persisted to IDEMPOTENCY_PATH
+const idempotencyRecords = new Map();
+const idempotencyInFlight = new Map();
+// Progress notifications keyed by job name -> { sequenceId, topic, baseUrl, ... }; persisted to PROGRESS_PATH
+const progressJobs = new Map();
+// Questions asked through ask-user keyed by question ID; persisted to QUESTIONS_PATH
+const questions = new Map();
+// Approval requests keyed by approval ID; persisted to APPROVALS_PATH
+const approvals = new Map();
+let approvalSecret = null;
+// Validators for request-input questions keyed by question ID (rebuilt from the stored schema after a restart)
+const inputValidators = new Map();
+// Escalation timers for unanswered questions keyed by escalation ID; persisted to ESCALATIONS_PATH
+const escalations = new Map();
+let escalationTimer = null;
+let escalationTimerEnabled = false;
+// IDs of messages this server published (id -> unix time), so their echoes are classified as origin "self"
+const publishedIds = new Map();
+// Publishes awaiting their response (topic/title/body fingerprint -> count), see publishMessage
+const inFlightPublishes = new Map();
+// Message IDs the agent has acknowledged as handled (id -> unix time); persisted to ACKS_PATH
+const acknowledgedIds = new Map();
+// Longer message history for search-messages, oldest first; appended to HISTORY_PATH as JSON lines
+const messageHistory = [];
+const historyIds = new Set();
 
 // Clean logs and messages on startup (can be disabled via NTFY_CLEAN_ON_STARTUP=false)
 function cleanOnStartup() {
@@ -181,6 +318,13 @@ function cleanOnStartup() {
       debugLogSync('clean:messages-cache', { action: 'cleared' });
     }
     
+    // The search history outlives restarts unless NTFY_CLEAN_HISTORY_ON_STARTUP=true
+    const cleanHistory = process.env.NTFY_CLEAN_HISTORY_ON_STARTUP === 'true';
+    if (cleanHistory && fs.existsSync(HISTORY_PATH)) {
+      fs.writeFileSync(HISTORY_PATH, '');
+      debugLogSync('clean:history', { action: 'cleared' });
+    }
+    
     // Clear subscription state
     if (fs.existsSync(SUBSCRIPTION_STATE_PATH)) {
       fs.writeFileSync(SUBSCRIPTION_STATE_PATH, '{}');
@@ -191,6 +335,7 @@ function cleanOnStartup() {
       debugLog: true, 
       processLog: true, 
       messagesCache: true,
+      history: cleanHistory,
       subscriptionState: true
     });
     wasCleanedOnStartup = true;
@@ -286,6 +431,16 @@ killExistingServers();
 cleanOnStartup();
 loadCachedMessages();
 messageVersion = recentMessages.length;
+// The outbox is intentionally not cleared on startup so queued messages are not lost
+loadOutbox();
+loadIdempotencyRecords();
+loadProgressJobs();
+loadQuestions();
+loadApprovals();
+loadEscalations();
+loadPublishedIds();
+loadAcknowledgedIds();
+loadHistory();
 
 // Load subscription state on startup (for reference, but subscription will be recreated if needed)
 const previousSubscriptionState = loadSubscriptionState();
@@ -304,12 +459,29 @@ const mcpServer = new McpServer(
       'The server maintains a persistent subscription to the configured topic and receives messages in real-time. ' +
       '\n\n' +
       'Available tools:\n' +
-      '- send-ntfy: Publish a message to the configured ntfy topic. Supports optional title, priority (1-5), tags, and attachUrl.\n' +
+      '- send-ntfy: Publish a message to the configured ntfy topic. Supports optional title, priority (1-5), tags, attachUrl, local file attachments (attachFile/attachBase64), action buttons (view/http/broadcast), click, icon, markdown, email, delay/at scheduling, cache/firebase toggles, and fan-out to multiple targets.\n' +
       '- set-ntfy-topic: Change the ntfy topic for this session (no restart needed).\n' +
-      '- wait-and-read-inbox: Wait for new messages and return any that arrive. Uses the existing subscription if available.\n' +
+      '- add-ntfy-topic / remove-ntfy-topic: Listen on more topics at once (e.g. a team or CI topic) or stop listening on one; messages carry their topic.\n' +
+      '- set-subscription-transport: Switch the subscription between json, sse and ws streaming (e.g. when a proxy buffers the stream).\n' +
+      '- send-template: Render a named message template (from nfty-templates.json) with variables and publish it.\n' +
+      '- list-templates: List the available message templates and the variables they use.\n' +
+      '- report-progress: Show a single notification for a long-running job and update it in place (percent, stage, ETA), then finish or clear it.\n' +
+      '- delete-ntfy-message / clear-ntfy-message: Retract or dismiss a published message by id or sequence ID.\n' +
+      '- escalations: List or cancel the escalation timers that re-send unanswered questions at higher priority or to fallback topics.\n' +
+      '- outbox-status: List messages queued for retry after a failed publish, and retry or discard them.\n' +
+      '- search-messages: Full-text search (keywords and "phrases") over the stored message history, with date, tag, priority and topic filters, pagination and highlighted snippets.\n' +
+      '- subscription-status: Report the subscription state, uptime, keepalives, reconnects, message and publish counters, rate-limit backoff, cache size and data file paths.\n' +
+      '- ack-messages: Mark inbox messages as handled (by id, up to an id, or all) so wait-and-read-inbox with unacknowledgedOnly skips them.\n' +
+      '- wait-and-read-inbox: Wait up to timeoutSeconds for new messages and return any that arrive (timedOut: true if none did). Sends progress notifications while waiting when the client asks for them.\n' +
+      '- ask-choice: Ask the user to pick one of several options (numbered list plus buttons) and return the selected option key.\n' +
+      '- request-input: Ask for structured input described by a JSON Schema; replies (JSON, YAML or key: value lines) are validated and only valid data is returned.\n' +
+      '- request-approval: Ask for an approve/deny decision via notification buttons and wait for the signed result.\n' +
+      '- ask-user: Send a question and wait for the reply that references it. Calling it again with the same question (or its questionId) after a timeout resumes waiting instead of re-asking.\n' +
       '\n' +
       'Available resources:\n' +
       '- ntfy://inbox: Read recent messages for the configured topic. Returns JSON with topic, baseUrl, and messages array.\n' +
+      '- ntfy://inbox?tags=...&minPriority=...&origin=...: The same, filtered (tags, tagMatch, minPriority, title, message, origin, topics, afterId, untilId).\n' +
+      '- ntfy://status: The subscription-status report as JSON; update notifications are sent whenever it changes.\n' +
       '\n' +
       'Configuration:\n' +
       '- Set NTFY_TOPIC in mcp.json env section to configure the topic (required).\n' +
@@ -321,75 +493,472 @@ const mcpServer = new McpServer(
       '- Use set-ntfy-topic to change the topic during the session (no restart needed).\n' +
       '- The subscription automatically starts when the server starts and stays open to receive messages in real-time.\n' +
       '- Messages are cached in memory (most recent 50) and persisted to disk.\n' +
-      '- The subscription connection stays open indefinitely and receives all new messages as they arrive.\n' +
+      '- The subscription connection stays open indefinitely; if it drops, the server reconnects with backoff and resumes from the last message it saw.\n' +
       '\n' +
       'Recommended workflow for interactive tasks:\n' +
       '1. Send a message using send-ntfy with your question or request.\n' +
-      '2. Use wait-and-read-inbox to wait for a response (set appropriate delaySeconds and maxTries).\n' +
+      '2. Use wait-and-read-inbox to wait for a response (set an appropriate timeoutSeconds).\n' +
       '3. Check if a response was received before proceeding with the task.\n' +
       '4. If no response is received within the wait period, you may need to inform the user or retry.\n' +
       '\n' +
       'Example pattern:\n' +
       '- send-ntfy({ message: "Question here", title: "Question" })\n' +
-      '- wait-and-read-inbox({ delaySeconds: 5, maxTries: 10, sinceNow: true })\n' +
-      '- If newCount > 0, process the response. If newCount === 0, handle the timeout case appropriately.'
+      '- wait-and-read-inbox({ timeoutSeconds: 50, sinceNow: true })\n' +
+      '- If newCount > 0, process the response. If timedOut is true, call it again or handle the timeout case appropriately.'
   }
 );
 
+// ntfy action buttons: https://docs.ntfy.sh/publish/#action-buttons
+const actionLabel = z.string().min(1).describe('Button label shown in the notification');
+const actionClear = z.boolean().optional().describe('Clear the notification after the button is tapped');
+const actionSchema = z.discriminatedUnion('action', [
+  z.object({
+    action: z.literal('view'),
+    label: actionLabel,
+    url: z.string().min(1).describe('URL (or app link) to open when tapped'),
+    clear: actionClear
+  }),
+  z.object({
+    action: z.literal('http'),
+    label: actionLabel,
+    url: z.string().url().describe('URL the ntfy app sends the request to'),
+    method: z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD']).optional().describe('HTTP method (ntfy default: POST)'),
+    headers: z.record(z.string()).optional(),
+    body: z.string().optional(),
+    clear: actionClear
+  }),
+  z.object({
+    action: z.literal('broadcast'),
+    label: actionLabel,
+    intent: z.string().optional().describe('Android intent name (ntfy default: io.heckel.ntfy.USER_ACTION)'),
+    extras: z.record(z.string()).optional(),
+    clear: actionClear
+  })
+]);
+
 mcpServer.registerTool(
   'send-ntfy',
   {
     title: 'Send ntfy message',
     description:
-      'Publish a message to the configured ntfy topic (set in mcp.json). Supports optional title, priority (1-5), tags, and attachUrl. After sending, use wait-and-read-inbox to wait for responses.',
+      'Publish a message to the configured ntfy topic (set in mcp.json). Supports optional title, priority (1-5), tags, attachUrl or a local file attachment (attachFile / attachBase64), up to three action buttons (view, http, broadcast), click URL, icon, Markdown formatting, email forwarding, scheduled delivery (delay / at), and cache / firebase toggles. Pass targets to fan out to several topics or servers at once. After sending, use wait-and-read-inbox to wait for responses.',
     inputSchema: z.object({
       message: z.string().min(1),
       title: z.string().optional(),
       priority: z.number().int().min(1).max(5).optional(),
       tags: z.array(z.string()).optional(),
-      attachUrl: z.string().url().optional()
+      attachUrl: z.string().url().optional(),
+      attachFile: z.string().min(1).optional().describe('Path of a local file to upload as the attachment'),
+      attachBase64: z.string().min(1).optional().describe('Base64-encoded content to upload as the attachment'),
+      filename: z.string().min(1).optional().describe('Attachment file name (defaults to the file name of attachFile)'),
+      actions: z.array(actionSchema).max(MAX_ACTIONS).optional().describe('Action buttons shown on the notification'),
+      click: z.string().min(1).optional().describe('URL or app link opened when the notification is tapped'),
+      icon: z.string().url().optional().describe('URL of a JPEG or PNG notification icon'),
+      markdown: z.boolean().optional().describe('Render the message body as Markdown'),
+      email: z.string().email().optional().describe('Also forward the notification to this email address'),
+      delay: z.string().min(1).optional().describe('Delay delivery, e.g. "30m", "2h", "tomorrow, 10am" or a Unix timestamp'),
+      at: z
+        .union([z.number().int().positive(), z.string().datetime({ offset: true })])
+        .optional()
+        .describe('Deliver at this time (Unix seconds or ISO 8601 datetime)'),
+      cache: z.boolean().optional().describe('Set to false to skip caching the message on the server'),
+      firebase: z.boolean().optional().describe('Set to false to skip forwarding to Firebase (Android push)'),
+      idempotencyKey: z
+        .string()
+        .min(1)
+        .max(200)
+        .optional()
+        .describe('Reusing a key within the idempotency window returns the original result instead of publishing again'),
+      targets: z
+        .array(
+          z.object({
+            topic: z.string().min(1),
+            baseUrl: z.string().url().optional().describe('ntfy server for this target (default: configured base URL)'),
+            authProfile: z.string().min(1).optional().describe('Named credentials from NTFY_AUTH_PROFILES')
+          })
+        )
+        .min(1)
+        .max(20)
+        .optional()
+        .describe('Publish to these topics/servers in parallel instead of the configured topic')
     }),
     outputSchema: z.object({
       topic: z.string(),
       id: z.string().optional(),
       status: z.string(),
       priority: z.number().optional(),
-      time: z.number().optional()
+      time: z.number().optional(),
+      scheduledAt: z.string().optional(),
+      queued: z.boolean().optional(),
+      outboxId: z.string().optional(),
+      duplicate: z.boolean().optional(),
+      results: z
+        .array(
+          z.object({
+            topic: z.string(),
+            baseUrl: z.string(),
+            id: z.string().nullable(),
+            time: z.number().nullable(),
+            status: z.enum(['sent', 'queued', 'failed']),
+            outboxId: z.string().nullable(),
+            error: z.string().nullable()
+          })
+        )
+        .optional(),
+      attachment: z
+        .object({
+          name: z.string().nullable(),
+          type: z.string().nullable(),
+          size: z.number().nullable(),
+          url: z.string().nullable(),
+          expires: z.number().nullable()
+        })
+        .optional()
     })
   },
   async (args) => {
-    if (!config.topic) {
+    if (!config.topic && !args.targets?.length) {
       throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
     }
-    
-    const result = await publishMessage({
-      topic: config.topic,
-      message: args.message,
-      title: args.title,
-      priority: args.priority,
-      tags: args.tags,
-      attach: args.attachUrl
-    });
+    const dedupeKey = idempotencyKeyFor(config.topic, args);
+    if (dedupeKey) {
+      return withIdempotency(dedupeKey, () => sendNtfy(args));
+    }
+    return sendNtfy(args);
+  }
+);
 
-    const output = {
-      topic: config.topic,
-      id: result.id,
-      time: result.time,
-      status: `Sent to ${config.topic}`,
-      priority: args.priority
-    };
+// ntfy sequence IDs may only contain letters, digits, '-' and '_' (max 64 chars)
+function progressSequenceId(job) {
+  const slug = job.replace(/[^A-Za-z0-9_-]+/g, '-').slice(0, 40);
+  return `progress-${slug}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function formatProgressMessage(entry, { finished, etaSeconds, message }) {
+  const lines = [];
+  if (finished) {
+    lines.push(`Done${entry.stage ? `: ${entry.stage}` : ''}`);
+  } else {
+    const percent = entry.percent ?? 0;
+    const filled = Math.round(percent / 10);
+    lines.push(`[${'█'.repeat(filled)}${'░'.repeat(10 - filled)}] ${Math.round(percent)}%${entry.stage ? ` - ${entry.stage}` : ''}`);
+    if (etaSeconds !== undefined) lines.push(`ETA ${formatDuration(etaSeconds)}`);
+  }
+  if (message) lines.push(message);
+  return lines.join('\n');
+}
+
+function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+// DELETE /<topic>/<sequenceId> removes the notification from subscribers' devices;
+// PUT /<topic>/<sequenceId>/clear only dismisses it (marks it as read)
+async function retractSequence({ topic, baseUrl = config.baseUrl, sequenceId }, mode = 'delete') {
+  const url = `${baseUrl}/${encodeURIComponent(topic)}/${encodeURIComponent(sequenceId)}${mode === 'clear' ? '/clear' : ''}`;
+  const response = await publishFetch(url, {
+    method: mode === 'clear' ? 'PUT' : 'DELETE',
+    headers: targetAuthHeaders(baseUrl),
+    dispatcher: fetchDispatcher
+  });
+  return readPublishResponse(response);
+}
+
+// Retract a published message by id or sequence ID and mark it in the local cache
+async function retractMessage({ id, sequenceId, topic }, mode) {
+  if (!id && !sequenceId) {
+    throw new Error('Provide the message id or sequenceId to retract.');
+  }
+  // ntfy uses the message ID as the sequence ID when none was set at publish time
+  const cached = recentMessages.find(
+    (msg) => (id && msg.id === id) || (sequenceId && (msg.sequenceId === sequenceId || msg.id === sequenceId))
+  );
+  const target = {
+    topic: topic || cached?.topic || config.topic,
+    sequenceId: sequenceId || cached?.sequenceId || id
+  };
+  if (!target.topic) {
+    throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+  }
+  await retractSequence(target, mode);
+
+  const retractedAt = new Date().toISOString();
+  const state = mode === 'clear' ? 'cleared' : 'deleted';
+  let marked = 0;
+  for (const msg of recentMessages) {
+    if (msg.id === target.sequenceId || msg.sequenceId === target.sequenceId || (id && msg.id === id)) {
+      // A delete supersedes an earlier clear, never the other way round
+      if (msg.retracted !== 'deleted') {
+        msg.retracted = state;
+        msg.retractedAt = retractedAt;
+      }
+      marked++;
+    }
+  }
+  if (marked > 0) {
+    persistMessages();
+    if (mcpServer.isConnected()) {
+      mcpServer.server.sendResourceUpdated({ uri: inboxUri }).catch(() => {});
+    }
+  }
+  debugLog(`retract:${mode}`, { ...target, marked });
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${state === 'cleared' ? 'Cleared' : 'Deleted'} message ${target.sequenceId} on ${target.topic}`
+      }
+    ],
+    structuredContent: { topic: target.topic, sequenceId: target.sequenceId, state, cachedMessagesMarked: marked }
+  };
+}
+
+function saveProgressJobs() {
+  try {
+    fs.writeFileSync(PROGRESS_PATH, JSON.stringify(Object.fromEntries(progressJobs), null, 2));
+  } catch (error) {
+    debugLog('progress:write-error', { error: String(error) });
+  }
+}
+
+function loadProgressJobs() {
+  try {
+    if (!fs.existsSync(PROGRESS_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(PROGRESS_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      for (const [job, entry] of Object.entries(parsed)) {
+        progressJobs.set(job, entry);
+      }
+      debugLog('progress:loaded', { count: progressJobs.size });
+    }
+  } catch (error) {
+    debugLog('progress:load-error', { error: String(error) });
+  }
+}
+
+// Read the template file on every call so edits apply without a restart
+function loadTemplates() {
+  const templates = {};
+  const errors = [];
+  if (!fs.existsSync(TEMPLATES_PATH)) {
+    return { templates, errors };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(TEMPLATES_PATH, 'utf8'));
+  } catch (error) {
+    debugLog('templates:load-error', { error: String(error) });
+    return { templates, errors: [{ name: null, error: `Could not parse ${TEMPLATES_PATH}: ${error.message}` }] };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { templates, errors: [{ name: null, error: 'Template file must contain a JSON object keyed by template name' }] };
+  }
+  for (const [name, definition] of Object.entries(parsed)) {
+    const result = templateSchema.safeParse(definition);
+    if (result.success) {
+      templates[name] = result.data;
+    } else {
+      errors.push({ name, error: formatZodIssues(result.error) });
+    }
+  }
+  return { templates, errors };
+}
+
+function templateVariables(template) {
+  const names = new Set();
+  for (const match of JSON.stringify(template).matchAll(TEMPLATE_PLACEHOLDER)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+// Substitute {{variables}} and validate the rendered message like a send-ntfy call
+function renderTemplate(name, template, variables) {
+  const missing = new Set();
+  const render = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(TEMPLATE_PLACEHOLDER, (placeholder, key) => {
+        if (!Object.hasOwn(variables, key)) {
+          missing.add(key);
+          return placeholder;
+        }
+        return String(variables[key]);
+      });
+    }
+    if (Array.isArray(value)) return value.map(render);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, render(item)]));
+    }
+    return value;
+  };
+
+  const { description, ...fields } = template;
+  const rendered = render(fields);
+  if (missing.size > 0) {
+    throw new Error(`Template "${name}" is missing variables: ${[...missing].join(', ')}`);
+  }
+  const result = renderedTemplateSchema.safeParse(rendered);
+  if (!result.success) {
+    throw new Error(`Template "${name}" rendered an invalid message: ${formatZodIssues(result.error)}`);
+  }
+  return result.data;
+}
+
+function formatZodIssues(error) {
+  return error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+}
+
+// Publish one message to several topics/servers in parallel; each target succeeds or fails on its own
+async function sendToTargets(targets, publishOptions) {
+  const results = await Promise.all(
+    targets.map(async (target) => {
+      const entry = {
+        topic: target.topic,
+        baseUrl: target.baseUrl ? normalizeBaseUrl(target.baseUrl) : config.baseUrl,
+        id: null,
+        time: null,
+        status: 'sent',
+        outboxId: null,
+        error: null
+      };
+      try {
+        const result = await publishOrQueue({
+          ...publishOptions,
+          topic: target.topic,
+          baseUrl: target.baseUrl,
+          authProfile: target.authProfile
+        });
+        if (result.queued) {
+          entry.status = 'queued';
+          entry.outboxId = result.outboxId;
+          entry.error = result.error;
+        } else {
+          entry.id = result.id ?? null;
+          entry.time = result.time ?? null;
+        }
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = String(error.message || error);
+      }
+      return entry;
+    })
+  );
 
+  const sent = results.filter((result) => result.status === 'sent').length;
+  const lines = results.map(
+    (result) =>
+      `- ${result.topic} @ ${result.baseUrl}: ${result.status}` +
+      (result.id ? ` (id: ${result.id})` : '') +
+      (result.error ? ` - ${result.error}` : '')
+  );
+  debugLog('publish:fan-out', { targets: results.length, sent });
+  return {
+    content: [{ type: 'text', text: `Sent to ${sent}/${results.length} targets:\n${lines.join('\n')}` }],
+    structuredContent: {
+      topic: results.map((result) => result.topic).join(','),
+      status: `Sent to ${sent}/${results.length} targets`,
+      priority: publishOptions.priority,
+      results
+    }
+  };
+}
+
+// Validate send-ntfy arguments and publish to the configured topic
+async function sendNtfy(args) {
+  const attachmentSources = [args.attachUrl, args.attachFile, args.attachBase64].filter(Boolean);
+  if (attachmentSources.length > 1) {
+    throw new Error('Only one of attachUrl, attachFile or attachBase64 may be provided.');
+  }
+  if (args.delay && args.at !== undefined) {
+    throw new Error('Only one of delay or at may be provided.');
+  }
+  const scheduled = args.delay || args.at !== undefined;
+  const file = args.attachFile || args.attachBase64
+    ? loadAttachment({ path: args.attachFile, base64: args.attachBase64, filename: args.filename })
+    : undefined;
+
+  const publishOptions = {
+    message: args.message,
+    title: args.title,
+    priority: args.priority,
+    tags: args.tags,
+    attach: args.attachUrl,
+    actions: args.actions,
+    file,
+    click: args.click,
+    icon: args.icon,
+    markdown: args.markdown,
+    email: args.email,
+    delay: args.at !== undefined ? String(toUnixSeconds(args.at)) : args.delay,
+    cache: args.cache,
+    firebase: args.firebase
+  };
+  if (args.targets?.length) {
+    return sendToTargets(args.targets, publishOptions);
+  }
+
+  const result = await publishOrQueue({ topic: config.topic, ...publishOptions });
+
+  const output = {
+    topic: config.topic,
+    id: result.id,
+    time: result.time,
+    status: `Sent to ${config.topic}`,
+    priority: args.priority
+  };
+  if (result.queued) {
+    output.status = `Queued for retry (${result.error})`;
+    output.queued = true;
+    output.outboxId = result.outboxId;
     return {
       content: [
         {
           type: 'text',
-          text: `Sent message to ${config.topic}${args.title ? ` (title: ${args.title})` : ''}`
+          text: `Could not reach ntfy; message queued for retry (outbox id: ${result.outboxId}). Error: ${result.error}`
         }
       ],
       structuredContent: output
     };
   }
-);
+  // ntfy reports the delivery time of scheduled messages as the message time
+  if (scheduled && result.time) {
+    output.scheduledAt = new Date(result.time * 1000).toISOString();
+    output.status = `Scheduled for ${config.topic}`;
+  }
+  if (result.attachment) {
+    output.attachment = {
+      name: result.attachment.name ?? null,
+      type: result.attachment.type ?? null,
+      size: result.attachment.size ?? null,
+      url: result.attachment.url ?? null,
+      expires: result.attachment.expires ?? null
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text:
+          `Sent message to ${config.topic}${args.title ? ` (title: ${args.title})` : ''}` +
+          (output.scheduledAt ? `\nScheduled delivery: ${output.scheduledAt}` : '') +
+          (output.attachment?.url ? `\nAttachment: ${output.attachment.url}` : '')
+      }
+    ],
+    structuredContent: output
+  };
+}
 
 mcpServer.registerTool(
   'set-ntfy-topic',
@@ -419,277 +988,2192 @@ mcpServer.registerTool(
   }
 );
 
-mcpServer.registerResource('inbox', inboxUri, {
-  title: 'ntfy inbox',
-  description: `Latest messages for the configured topic at ${config.baseUrl}. Topic must be set via set-ntfy-topic first.`
-}, async () => {
-  if (!config.topic) {
+mcpServer.registerTool(
+  'set-subscription-transport',
+  {
+    title: 'Set subscription transport',
+    description:
+      'Switch how the subscription streams from ntfy: json (newline-delimited JSON, the default), sse (server-sent events) or ws (WebSocket). Try another transport when a proxy buffers or drops the stream. The subscription reconnects right away and resumes from the last message it saw.',
+    inputSchema: z.object({
+      transport: z.enum(SUBSCRIPTION_TRANSPORTS)
+    }),
+    outputSchema: z.object({
+      transport: z.enum(SUBSCRIPTION_TRANSPORTS),
+      previous: z.enum(SUBSCRIPTION_TRANSPORTS)
+    })
+  },
+  async ({ transport }) => {
+    const previous = config.transport;
+    switchTransport(transport);
     return {
-      contents: [
-        {
-          uri: inboxUri,
-          mimeType: 'application/json',
-          text: JSON.stringify(
-            {
-              topic: null,
-              baseUrl: config.baseUrl,
-              messages: [],
-              error: 'Topic not configured. Set one via set-ntfy-topic tool first.'
-            },
-            null,
-            2
-          )
-        }
-      ]
+      content: [{ type: 'text', text: `Subscription transport set to ${transport} (was ${previous})` }],
+      structuredContent: { transport, previous }
     };
   }
+);
 
-  // Start subscription if not already running to receive new messages
-  ensureSubscription();
-
-  return {
-    contents: [
-      {
-        uri: inboxUri,
-        mimeType: 'application/json',
-        text: JSON.stringify(
-          {
-            topic: config.topic,
-            baseUrl: config.baseUrl,
-            messages: [...recentMessages]
-          },
-          null,
-          2
-        )
-      }
-    ]
-  };
+const topicNameSchema = z
+  .string()
+  .regex(/^[-_A-Za-z0-9]{1,64}$/, 'Topic names are 1-64 letters, digits, - or _')
+  .describe('Topic name');
+const subscribedTopicsSchema = z.object({
+  topic: z.string(),
+  topics: z.array(z.string()),
+  changed: z.boolean()
 });
 
-// Register prompts - reusable conversation templates
-// Trying alternative approaches to work around SDK compatibility issues
-
-// Approach 1: Simple prompt with no argsSchema (no arguments)
-mcpServer.registerPrompt(
-  'check-inbox',
+mcpServer.registerTool(
+  'add-ntfy-topic',
   {
-    title: 'Check recent messages',
-    description: 'Checks the ntfy inbox for recent messages without waiting.'
+    title: 'Add ntfy topic',
+    description:
+      'Also subscribe to another topic (e.g. a team broadcast or CI topic) on the same server. Messages from every subscribed topic arrive in the inbox with their topic; filter waits and ntfy://inbox by topics. Publishing and questions keep using the configured topic.',
+    inputSchema: z.object({ topic: topicNameSchema }),
+    outputSchema: subscribedTopicsSchema
   },
-  async () => {
+  async ({ topic }) => {
     if (!config.topic) {
-      return {
-        messages: [
-          {
-            role: 'user',
-            content: {
-              type: 'text',
-              text: 'Error: Topic not configured. Set NTFY_TOPIC in mcp.json env section.'
-            }
-          }
-        ]
-      };
+      throw new Error('Topic not configured. Set one via set-ntfy-topic first.');
     }
+    const changed = !subscriptionTopics().includes(topic);
+    if (changed) setExtraTopics([...config.extraTopics, topic]);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${changed ? 'Subscribed to' : 'Already subscribed to'} ${topic}. Topics: ${subscriptionTopics().join(', ')}`
+        }
+      ],
+      structuredContent: { topic, topics: subscriptionTopics(), changed }
+    };
+  }
+);
 
-    const promptText = `Please check the ntfy inbox for recent messages.
-
-Use the ntfy://inbox resource to read recent messages for the configured topic.
-Present the messages in a clear format, showing:
-- Message title (if any)
-- Message content (prefixed with "Agent:" if it's a reply)
-- Timestamp
-- Message ID
-
-If there are no messages, let me know.`;
-
+mcpServer.registerTool(
+  'remove-ntfy-topic',
+  {
+    title: 'Remove ntfy topic',
+    description:
+      'Stop listening on a topic added with add-ntfy-topic (or NTFY_TOPICS). Messages already in the inbox stay there. The configured topic cannot be removed; use set-ntfy-topic to change it.',
+    inputSchema: z.object({ topic: topicNameSchema }),
+    outputSchema: subscribedTopicsSchema
+  },
+  async ({ topic }) => {
+    if (topic === config.topic) {
+      throw new Error(`${topic} is the configured topic; use set-ntfy-topic to change it.`);
+    }
+    const changed = config.extraTopics.includes(topic);
+    if (changed) setExtraTopics(config.extraTopics.filter((extra) => extra !== topic));
     return {
-      messages: [
+      content: [
         {
-          role: 'user',
-          content: {
-            type: 'text',
-            text: promptText
-          }
+          type: 'text',
+          text: `${changed ? 'Unsubscribed from' : 'Not subscribed to'} ${topic}. Topics: ${subscriptionTopics().join(', ') || '(none)'}`
         }
-      ]
+      ],
+      structuredContent: { topic, topics: subscriptionTopics(), changed }
     };
   }
 );
 
-// Note: Prompts with argsSchema cause SDK errors (Cannot read properties of null reading '_zod')
-// This appears to be a bug in @modelcontextprotocol/sdk when processing Zod schemas for prompts
-// For now, we only support prompts without arguments (no argsSchema)
-// Users can still use the tools directly for more complex workflows
+// Templates live in TEMPLATES_PATH as { "<name>": { title, message, tags, priority, actions, ... } }.
+// String fields may contain {{variable}} placeholders.
+const templateSchema = z.object({
+  description: z.string().optional(),
+  title: z.string().optional(),
+  message: z.string().min(1),
+  tags: z.array(z.string()).optional(),
+  priority: z.number().int().min(1).max(5).optional(),
+  actions: z.array(z.record(z.unknown())).max(MAX_ACTIONS).optional(),
+  click: z.string().optional(),
+  markdown: z.boolean().optional()
+});
+const renderedTemplateSchema = templateSchema.omit({ description: true }).extend({
+  actions: z.array(actionSchema).max(MAX_ACTIONS).optional()
+});
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
 
 mcpServer.registerTool(
-  'wait-and-read-inbox',
+  'send-template',
   {
-    title: 'Wait for new messages',
-    description: 'Waits for new messages on the configured topic (set in mcp.json) and returns when a new message arrives. Does not return until at least one new message is received. Uses the existing subscription. Note: The MCP protocol has a ~60s client-side timeout that cannot be controlled from the server, but this tool will wait as long as possible within that limit.',
+    title: 'Send message template',
+    description:
+      'Render a named message template with {{variable}} placeholders and publish it to the configured topic. Use list-templates to see the available templates and their variables.',
     inputSchema: z.object({
-      since: z.string().optional().describe('Cursor to filter messages after this point'),
-      sinceTime: z.number().optional().describe('Unix timestamp - filter messages with time >= sinceTime'),
-      sinceNow: z.boolean().optional().default(true).describe('If true (default), only returns messages sent after this call starts. If false, returns all messages since the cursor.')
+      name: z.string().min(1),
+      variables: z.record(z.union([z.string(), z.number(), z.boolean()])).optional().default({}),
+      idempotencyKey: z.string().min(1).max(200).optional()
     }),
     outputSchema: z.object({
-      newCount: z.number(),
-      lastCursor: z.string().nullable(),
-      messages: z.array(
-        z.object({
-          id: z.string().nullable(),
-          time: z.number().nullable(),
-          title: z.string().nullable().default(null),
-          message: z.string().nullable(),
-          priority: z.number().nullable().default(null),
-          tags: z.array(z.string()).nullable().default(null),
-          topic: z.string().nullable()
-        })
-      )
+      template: z.string(),
+      topic: z.string(),
+      id: z.string().optional(),
+      status: z.string(),
+      time: z.number().optional(),
+      queued: z.boolean().optional(),
+      outboxId: z.string().optional(),
+      duplicate: z.boolean().optional()
     })
   },
-  async ({ since, sinceTime, sinceNow = true }) => {
+  async ({ name, variables = {}, idempotencyKey }) => {
     if (!config.topic) {
       throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
     }
-
-    if (since) {
-      lastCursor = since;
-    }
-
-    // Use existing subscription if available, otherwise create one
-    // Check if subscription is actually running (task exists and has an ID)
-    const subscriptionRunning = subscriptionTask && subscriptionId;
-    if (!subscriptionRunning) {
-      // No subscription running - create one
-      ensureSubscription();
-      // Give subscription a moment to start and potentially receive any pending messages
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      debugLog('wait:created-subscription', { topic: config.topic, subscriptionId });
-    } else {
-      // Subscription already running - just use it, don't close/reopen
-      debugLog('wait:using-existing-subscription', { topic: config.topic, subscriptionId, messageCount: recentMessages.length });
+    const { templates, errors } = loadTemplates();
+    const template = templates[name];
+    if (!template) {
+      const invalid = errors.find((error) => error.name === name);
+      if (invalid) {
+        throw new Error(`Template "${name}" is invalid: ${invalid.error}`);
+      }
+      throw new Error(`Unknown template "${name}". Available: ${Object.keys(templates).join(', ') || '(none)'}`);
     }
 
-    // Capture the start time for sinceNow filtering
-    const startTime = Math.floor(Date.now() / 1000);
-    const baselineVersion = messageVersion;
-    const baselineCursor = lastCursor;
+    const args = { ...renderTemplate(name, template, variables), idempotencyKey };
+    const dedupeKey = idempotencyKeyFor(config.topic, args);
+    const result = dedupeKey ? await withIdempotency(dedupeKey, () => sendNtfy(args)) : await sendNtfy(args);
+    const { topic, id, status, time, queued, outboxId, duplicate } = result.structuredContent;
+    return {
+      content: result.content,
+      structuredContent: { template: name, topic, id, status, time, queued, outboxId, duplicate }
+    };
+  }
+);
 
-    // First, check immediately if there are already new messages available
-    // This allows the agent to poll the tool repeatedly, and it will return immediately
-    // if messages are already waiting, or wait for new ones if not
-    let newMessages = [];
-    const allMessages = messagesFromCache(baselineCursor, sinceTime);
-    
-    // Filter by sinceNow if provided
-    if (sinceNow) {
-      newMessages = allMessages.filter(msg => msg.time && msg.time >= startTime);
-    } else {
-      newMessages = allMessages;
+mcpServer.registerTool(
+  'list-templates',
+  {
+    title: 'List message templates',
+    description: `List the message templates defined in ${TEMPLATES_PATH} and the variables each one expects.`,
+    inputSchema: z.object({}),
+    outputSchema: z.object({
+      path: z.string(),
+      templates: z.array(
+        z.object({
+          name: z.string(),
+          description: z.string().nullable(),
+          variables: z.array(z.string()),
+          title: z.string().nullable(),
+          priority: z.number().nullable(),
+          tags: z.array(z.string()).nullable()
+        })
+      ),
+      errors: z.array(z.object({ name: z.string().nullable(), error: z.string() }))
+    })
+  },
+  async () => {
+    const { templates, errors } = loadTemplates();
+    const list = Object.entries(templates).map(([name, template]) => ({
+      name,
+      description: template.description ?? null,
+      variables: templateVariables(template),
+      title: template.title ?? null,
+      priority: template.priority ?? null,
+      tags: template.tags ?? null
+    }));
+    let text = list.length
+      ? `Templates:\n${list
+          .map((item) => `- ${item.name}${item.description ? `: ${item.description}` : ''}${item.variables.length ? ` (variables: ${item.variables.join(', ')})` : ''}`)
+          .join('\n')}`
+      : `No templates defined in ${TEMPLATES_PATH}`;
+    if (errors.length) {
+      text += `\n\nInvalid templates:\n${errors.map((error) => `- ${error.name ?? '(file)'}: ${error.error}`).join('\n')}`;
     }
-    
-    // If we already have new messages, return them immediately (no waiting needed)
-    if (newMessages.length > 0) {
-      debugLog('wait:immediate-return', { count: newMessages.length, topic: config.topic });
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: { path: TEMPLATES_PATH, templates: list, errors }
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'report-progress',
+  {
+    title: 'Report job progress',
+    description:
+      'Show one notification per job and update it in place instead of sending a new notification for every step. ' +
+      'Use action "start" (optional) and "update" with percent/stage/etaSeconds, then "finish" to mark it done or "clear" to delete it. ' +
+      'Jobs are identified by the job key; the server tracks the ntfy sequence ID for each one.',
+    inputSchema: z.object({
+      job: z.string().min(1).max(100).describe('Stable key for the job, e.g. "deploy-api"'),
+      action: z.enum(['start', 'update', 'finish', 'clear']).optional().default('update'),
+      percent: z.number().min(0).max(100).optional(),
+      stage: z.string().optional().describe('Short description of the current step'),
+      etaSeconds: z.number().int().min(0).optional(),
+      title: z.string().optional().describe('Notification title (default: the job key)'),
+      message: z.string().optional().describe('Extra text shown below the progress line')
+    }),
+    outputSchema: z.object({
+      job: z.string(),
+      sequenceId: z.string(),
+      state: z.enum(['running', 'done', 'cleared']),
+      percent: z.number().nullable(),
+      stage: z.string().nullable(),
+      id: z.string().nullable()
+    })
+  },
+  async ({ job, action = 'update', percent, stage, etaSeconds, title, message }) => {
+    let entry = progressJobs.get(job);
+    if (action === 'clear') {
+      if (!entry) {
+        throw new Error(`No progress notification tracked for job "${job}"`);
+      }
+      await retractSequence(entry, 'delete');
+      progressJobs.delete(job);
+      saveProgressJobs();
+      return {
+        content: [{ type: 'text', text: `Cleared progress notification for ${job}` }],
+        structuredContent: { job, sequenceId: entry.sequenceId, state: 'cleared', percent: entry.percent, stage: entry.stage, id: null }
+      };
+    }
+
+    if (!entry) {
+      if (!config.topic) {
+        throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+      }
+      entry = {
+        sequenceId: progressSequenceId(job),
+        topic: config.topic,
+        baseUrl: config.baseUrl,
+        title: null,
+        percent: null,
+        stage: null,
+        startedAt: new Date().toISOString()
+      };
+    }
+    if (title !== undefined) entry.title = title;
+    if (percent !== undefined) entry.percent = percent;
+    if (stage !== undefined) entry.stage = stage;
+    const finished = action === 'finish';
+    if (finished) entry.percent = 100;
+
+    // Progress updates are published directly rather than through the outbox: a stale
+    // update replayed later would overwrite newer progress.
+    const result = await publishMessage({
+      topic: entry.topic,
+      baseUrl: entry.baseUrl,
+      sequenceId: entry.sequenceId,
+      title: entry.title || job,
+      message: formatProgressMessage(entry, { finished, etaSeconds, message }),
+      tags: [finished ? 'white_check_mark' : 'hourglass_flowing_sand'],
+      priority: finished ? undefined : 2
+    });
+
+    if (finished) {
+      progressJobs.delete(job);
     } else {
-      // No messages available yet - wait for new ones
-      // Wait indefinitely for new messages - check every 1 second
-      // Note: The MCP protocol has a ~60s client-side timeout that we cannot control,
-      // but we'll wait as long as possible until a message arrives or the protocol times out
-      const checkInterval = 1000; // Check every 1 second
-      const startWaitTime = Date.now();
-      
-      debugLog('wait:starting-wait', { topic: config.topic, baselineCursor, startTime });
-      
-      // Wait indefinitely until we get a message (or MCP protocol timeout ~60s cuts us off)
-      while (true) {
-        // Always read from cache to get the latest messages (cache is updated in real-time via subscription)
-        const currentMessages = messagesFromCache(baselineCursor, sinceTime);
-        
-        // Filter by sinceNow if provided
-        if (sinceNow) {
-          newMessages = currentMessages.filter(msg => msg.time && msg.time >= startTime);
-        } else {
-          newMessages = currentMessages;
+      entry.updatedAt = new Date().toISOString();
+      progressJobs.set(job, entry);
+    }
+    saveProgressJobs();
+
+    const state = finished ? 'done' : 'running';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: finished
+            ? `Marked ${job} as done`
+            : `Updated progress for ${job}: ${entry.percent ?? '?'}%${entry.stage ? ` (${entry.stage})` : ''}`
         }
-        
-        // If we found new messages, return them immediately
-        if (newMessages.length > 0) {
-          debugLog('wait:message-received', { count: newMessages.length, waitTime: Math.floor((Date.now() - startWaitTime) / 1000), topic: config.topic });
-          break;
+      ],
+      structuredContent: {
+        job,
+        sequenceId: entry.sequenceId,
+        state,
+        percent: entry.percent,
+        stage: entry.stage,
+        id: result.id ?? null
+      }
+    };
+  }
+);
+
+const retractInputSchema = z.object({
+  id: z.string().min(1).optional().describe('ID of the published message'),
+  sequenceId: z.string().min(1).optional().describe('Sequence ID the message was published with'),
+  topic: z.string().min(1).optional().describe('Topic of the message (default: looked up in the cache, else the configured topic)')
+});
+const retractOutputSchema = z.object({
+  topic: z.string(),
+  sequenceId: z.string(),
+  state: z.enum(['deleted', 'cleared']),
+  cachedMessagesMarked: z.number()
+});
+
+mcpServer.registerTool(
+  'delete-ntfy-message',
+  {
+    title: 'Delete ntfy message',
+    description:
+      'Retract a published message by id or sequence ID. The notification is removed from subscribed devices and marked as deleted in the local inbox cache.',
+    inputSchema: retractInputSchema,
+    outputSchema: retractOutputSchema
+  },
+  async (args) => retractMessage(args, 'delete')
+);
+
+mcpServer.registerTool(
+  'clear-ntfy-message',
+  {
+    title: 'Clear ntfy message',
+    description:
+      'Dismiss a published notification by id or sequence ID (marks it as read on subscribed devices) and mark it as cleared in the local inbox cache.',
+    inputSchema: retractInputSchema,
+    outputSchema: retractOutputSchema
+  },
+  async (args) => retractMessage(args, 'clear')
+);
+
+const outboxEntrySchema = z.object({
+  id: z.string(),
+  status: z.enum(['pending', 'dead']),
+  topic: z.string(),
+  message: z.string().nullable(),
+  title: z.string().nullable(),
+  attempts: z.number(),
+  lastError: z.string().nullable(),
+  createdAt: z.string(),
+  nextAttemptAt: z.string().nullable()
+});
+
+mcpServer.registerTool(
+  'outbox-status',
+  {
+    title: 'Outbox status',
+    description:
+      'List messages that failed to publish and are queued for retry (pending) or gave up after too many attempts (dead). Use action "retry" to resend them now or "discard" to drop them; ids limits the action to specific entries.',
+    inputSchema: z.object({
+      action: z.enum(['list', 'retry', 'discard']).optional().default('list'),
+      ids: z.array(z.string()).optional().describe('Outbox entry ids to act on (default: all entries)')
+    }),
+    outputSchema: z.object({
+      pending: z.array(outboxEntrySchema),
+      dead: z.array(outboxEntrySchema),
+      affected: z.number()
+    })
+  },
+  async ({ action = 'list', ids }) => {
+    const selected = outbox.filter((entry) => !ids?.length || ids.includes(entry.id));
+    if (action === 'retry') {
+      for (const entry of selected) {
+        entry.status = 'pending';
+        entry.attempts = 0;
+        entry.nextAttemptAt = Date.now();
+      }
+      saveOutbox();
+      await flushOutbox();
+    } else if (action === 'discard') {
+      for (const entry of selected) {
+        const index = outbox.indexOf(entry);
+        if (index !== -1) outbox.splice(index, 1);
+      }
+      saveOutbox();
+      scheduleOutboxFlush();
+    }
+
+    const summaries = outbox.map(summarizeOutboxEntry);
+    const output = {
+      pending: summaries.filter((entry) => entry.status === 'pending'),
+      dead: summaries.filter((entry) => entry.status === 'dead'),
+      affected: action === 'list' ? 0 : selected.length
+    };
+    let text = `Outbox: ${output.pending.length} pending, ${output.dead.length} dead`;
+    if (action !== 'list') {
+      text = `${action === 'retry' ? 'Retried' : 'Discarded'} ${selected.length} entr${selected.length === 1 ? 'y' : 'ies'}. ${text}`;
+    }
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: output
+    };
+  }
+);
+
+// Shared by wait-and-read-inbox, the filtered inbox resource and NTFY_SUBSCRIBE_FILTER
+const messageFilterSchema = z.object({
+  tags: z.array(z.string().min(1)).optional().describe('Only messages carrying these tags'),
+  tagMatch: z.enum(['any', 'all']).optional().default('any').describe('Require any (default) or all of the tags'),
+  minPriority: z.number().int().min(1).max(5).optional().describe('Minimum priority; messages without one count as 3'),
+  title: z.string().max(MAX_FILTER_PATTERN_LENGTH).optional().describe('Case-insensitive regular expression the title must match'),
+  message: z.string().max(MAX_FILTER_PATTERN_LENGTH).optional().describe('Case-insensitive regular expression the message body must match'),
+  origin: z.array(z.enum(['self', 'human', 'other-agent'])).optional().describe('Only messages from these origins'),
+  topics: z.array(z.string()).optional().describe('Only messages from these subscribed topics'),
+  afterId: z.string().optional().describe('Only messages newer than this message ID'),
+  untilId: z.string().optional().describe('Only messages up to and including this message ID')
+});
+
+// The SDK's UriTemplate only matches when every query variable is present, in template order;
+// inbox filters are all optional, so match the query string directly
+class InboxFilterTemplate extends UriTemplate {
+  match(uri) {
+    if (!uri.startsWith(`${inboxUri}?`)) return null;
+    return Object.fromEntries(new URLSearchParams(uri.slice(inboxUri.length + 1)));
+  }
+}
+
+mcpServer.registerResource('inbox', inboxUri, {
+  title: 'ntfy inbox',
+  description: `Latest messages for the configured topic at ${config.baseUrl}. Topic must be set via set-ntfy-topic first.`
+}, async () => readInbox(inboxUri));
+
+mcpServer.registerResource(
+  'inbox-filtered',
+  new ResourceTemplate(new InboxFilterTemplate(`${inboxUri}{?tags,tagMatch,minPriority,title,message,origin,topics,afterId,untilId}`), {
+    list: undefined
+  }),
+  {
+    title: 'Filtered ntfy inbox',
+    description:
+      'Latest messages matching query filters, e.g. ntfy://inbox?tags=deploy,prod&tagMatch=all&minPriority=4&origin=human&topics=ci. ' +
+      'tags, origin and topics are comma-separated; title and message are regular expressions.'
+  },
+  async (uri, variables) => {
+    const list = (value) => (value ? String(value).split(',').filter(Boolean) : undefined);
+    const result = messageFilterSchema.safeParse({
+      tags: list(variables.tags),
+      tagMatch: variables.tagMatch || undefined,
+      minPriority: variables.minPriority ? Number(variables.minPriority) : undefined,
+      title: variables.title || undefined,
+      message: variables.message || undefined,
+      origin: list(variables.origin),
+      topics: list(variables.topics),
+      afterId: variables.afterId || undefined,
+      untilId: variables.untilId || undefined
+    });
+    if (!result.success) {
+      throw new Error(`Invalid inbox filter: ${formatZodIssues(result.error)}`);
+    }
+    return readInbox(uri.href, result.data);
+  }
+);
+
+function readInbox(uri, filter) {
+  if (!config.topic) {
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(
+            {
+              topic: null,
+              baseUrl: config.baseUrl,
+              messages: [],
+              error: 'Topic not configured. Set one via set-ntfy-topic tool first.'
+            },
+            null,
+            2
+          )
         }
-        
-        // Wait a bit before checking again
-        await new Promise(resolve => setTimeout(resolve, checkInterval));
+      ]
+    };
+  }
+
+  // Start subscription if not already running to receive new messages
+  ensureSubscription();
+
+  const messages = recentMessages.map((msg) => ({
+    ...msg,
+    origin: msg.origin ?? classifyOrigin(msg),
+    acknowledged: acknowledgedIds.has(msg.id)
+  }));
+  const selected = filter ? filterMessages(messages, filter) : messages;
+  const inbox = { topic: config.topic, topics: subscriptionTopics(), baseUrl: config.baseUrl };
+  if (filter) inbox.filter = filter;
+  inbox.unreadCount = countUnread(selected);
+  inbox.messages = selected;
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(inbox, null, 2)
       }
+    ]
+  };
+}
+
+mcpServer.registerResource('status', statusUri, {
+  title: 'ntfy subscription status',
+  description:
+    'Diagnostics for the subscription: topic, connection state, uptime, keepalives, reconnects, message and publish counters, rate-limit backoff, cache size and data file paths. Sends update notifications when any of it changes.'
+}, async () => ({
+  contents: [
+    {
+      uri: statusUri,
+      mimeType: 'application/json',
+      text: JSON.stringify(buildStatus(), null, 2)
     }
-    
-    // Format message content for display
-    let messageText = '';
-    if (newMessages.length > 0) {
-      messageText = `Received ${newMessages.length} new message(s):\n\n`;
-      newMessages.forEach((msg, idx) => {
-        messageText += `Message ${idx + 1}:\n`;
-        if (msg.title) messageText += `Title: ${msg.title}\n`;
-        if (msg.message) {
-          // Only prefix with "Agent:" if message has title or priority (indicating it was sent via tool)
-          // User messages typically don't have title/priority
-          const isAgentMessage = msg.title || msg.priority;
-          messageText += isAgentMessage ? `Agent: ${msg.message}\n` : `Message: ${msg.message}\n`;
+  ]
+}));
+
+mcpServer.registerTool(
+  'subscription-status',
+  {
+    title: 'Subscription status',
+    description:
+      'Report why messages may not be arriving: the active topic and base URL, subscription ID and state (connected, connecting, reconnecting, stopped), uptime, last keepalive and last error, reconnect count, inbound and publish counters, rate-limit backoff, cache size and the data file paths in use. Same data as the ntfy://status resource.',
+    inputSchema: z.object({}),
+    outputSchema: z.object({
+      topics: z.array(z.string()),
+      baseUrl: z.string(),
+      transport: z.enum(SUBSCRIPTION_TRANSPORTS),
+      subscription: z.object({
+        id: z.string().nullable(),
+        state: z.enum(['connected', 'connecting', 'reconnecting', 'stopped']),
+        startedAt: z.string().nullable(),
+        uptimeSeconds: z.number().nullable(),
+        connectedSince: z.string().nullable(),
+        lastKeepaliveAt: z.string().nullable(),
+        lastMessageAt: z.string().nullable(),
+        lastCursor: z.string().nullable(),
+        reconnects: z.number(),
+        nextAttemptAt: z.string().nullable(),
+        lastError: z.string().nullable(),
+        lastErrorAt: z.string().nullable()
+      }),
+      messages: z.object({ received: z.number(), duplicates: z.number(), filtered: z.number(), unread: z.number() }),
+      publishing: z.object({
+        sent: z.number(),
+        failed: z.number(),
+        queued: z.number(),
+        rateLimited: z.number(),
+        outboxPending: z.number(),
+        outboxDead: z.number(),
+        lastError: z.string().nullable()
+      }),
+      rateLimit: z.object({ backingOff: z.boolean(), until: z.string().nullable() }),
+      cache: z.object({ messages: z.number(), cacheFileBytes: z.number(), historyEntries: z.number(), historyLimit: z.number() }),
+      paths: z.record(z.string())
+    })
+  },
+  async () => {
+    const status = buildStatus();
+    const { subscription, messages, publishing } = status;
+    let text = `Subscription ${subscription.state} for ${status.topics.join(', ') || '(no topic)'} at ${status.baseUrl} over ${status.transport}`;
+    if (subscription.uptimeSeconds !== null) text += `, up ${subscription.uptimeSeconds}s`;
+    text += `. ${messages.received} received, ${publishing.sent} published, ${publishing.queued} queued, ${subscription.reconnects} reconnects.`;
+    if (subscription.lastError) text += ` Last error: ${subscription.lastError}`;
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: status
+    };
+  }
+);
+
+// Snapshot for subscription-status and ntfy://status; reading it never starts the subscription
+function buildStatus() {
+  const now = Date.now();
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  let state = 'stopped';
+  if (subscriptionTask) {
+    if (subscriptionHealth.connectedSince) state = 'connected';
+    else if (subscriptionReconnects.nextAttemptAt) state = 'reconnecting';
+    else state = 'connecting';
+  }
+  let cacheFileBytes = 0;
+  try {
+    cacheFileBytes = fs.statSync(MESSAGE_CACHE_PATH).size;
+  } catch {}
+  return {
+    topics: subscriptionTopics(),
+    baseUrl: config.baseUrl,
+    transport: config.transport,
+    subscription: {
+      id: subscriptionId || null,
+      state,
+      startedAt: subscriptionStartTime || null,
+      uptimeSeconds: subscriptionStartTime ? Math.round((now - Date.parse(subscriptionStartTime)) / 1000) : null,
+      connectedSince: subscriptionHealth.connectedSince,
+      lastKeepaliveAt: subscriptionHealth.lastKeepaliveAt,
+      lastMessageAt: subscriptionHealth.lastMessageAt,
+      lastCursor: lastCursor || null,
+      reconnects: subscriptionReconnects.total,
+      nextAttemptAt: subscriptionReconnects.nextAttemptAt,
+      lastError: subscriptionHealth.lastError,
+      lastErrorAt: subscriptionHealth.lastErrorAt
+    },
+    messages: {
+      received: statusCounters.received,
+      duplicates: statusCounters.duplicates,
+      filtered: statusCounters.filtered,
+      unread: countUnread()
+    },
+    publishing: {
+      sent: statusCounters.published,
+      failed: statusCounters.publishFailed,
+      queued: statusCounters.queued,
+      rateLimited: statusCounters.rateLimited,
+      outboxPending: outbox.filter((entry) => entry.status === 'pending').length,
+      outboxDead: outbox.filter((entry) => entry.status === 'dead').length,
+      lastError: statusCounters.lastPublishError
+    },
+    rateLimit: {
+      backingOff: hydrateBackoffUntil > now,
+      until: hydrateBackoffUntil > now ? toIso(hydrateBackoffUntil) : null
+    },
+    cache: {
+      messages: recentMessages.length,
+      cacheFileBytes,
+      historyEntries: messageHistory.length,
+      historyLimit: historyLimit()
+    },
+    paths: {
+      dataDir: DATA_DIR,
+      cache: MESSAGE_CACHE_PATH,
+      history: HISTORY_PATH,
+      acks: ACKS_PATH,
+      subscriptionState: SUBSCRIPTION_STATE_PATH,
+      outbox: OUTBOX_PATH,
+      debugLog: debugLogFile,
+      processLog: PROCESS_LOG_PATH,
+      templates: TEMPLATES_PATH
+    }
+  };
+}
+
+function notifyStatusChanged() {
+  if (mcpServer.isConnected()) {
+    mcpServer.server.sendResourceUpdated({ uri: statusUri }).catch(() => {});
+  }
+}
+
+// Register prompts - reusable conversation templates
+// Trying alternative approaches to work around SDK compatibility issues
+
+// Approach 1: Simple prompt with no argsSchema (no arguments)
+mcpServer.registerPrompt(
+  'check-inbox',
+  {
+    title: 'Check recent messages',
+    description: 'Checks the ntfy inbox for recent messages without waiting.'
+  },
+  async () => {
+    if (!config.topic) {
+      return {
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: 'Error: Topic not configured. Set NTFY_TOPIC in mcp.json env section.'
+            }
+          }
+        ]
+      };
+    }
+
+    const promptText = `Please check the ntfy inbox for recent messages.
+
+Use the ntfy://inbox resource to read recent messages for the configured topic.
+Present the messages in a clear format, showing:
+- Message title (if any)
+- Message content, noting each message's origin (self, human, or other-agent)
+- Timestamp
+- Message ID
+
+If there are no messages, let me know.`;
+
+    return {
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: promptText
+          }
         }
-        if (msg.time) messageText += `Time: ${new Date(msg.time * 1000).toISOString()}\n`;
-        if (msg.id) messageText += `ID: ${msg.id}\n`;
-        messageText += '\n';
-      });
-    } else {
-      // This should never happen since we break the loop only when messages are found
-      // But include it as a safety fallback
-      const waitDuration = Math.floor((Date.now() - startWaitTime) / 1000);
-      messageText = `No new messages received after waiting ${waitDuration}s. The MCP protocol may have timed out (~60s limit).`;
+      ]
+    };
+  }
+);
+
+// Note: Prompts with argsSchema cause SDK errors (Cannot read properties of null reading '_zod')
+// This appears to be a bug in @modelcontextprotocol/sdk when processing Zod schemas for prompts
+// For now, we only support prompts without arguments (no argsSchema)
+// Users can still use the tools directly for more complex workflows
+
+mcpServer.registerTool(
+  'wait-and-read-inbox',
+  {
+    title: 'Wait for new messages',
+    description: 'Waits for new messages on the subscribed topics (the configured topic plus any added with add-ntfy-topic) and returns as soon as one arrives, or with timedOut: true after timeoutSeconds. Uses the existing subscription. If the client requests progress, a progress notification is sent every few seconds while waiting; clients that reset their timeout on progress can wait for many minutes in one call. Each message has an origin: self (published by this server), human, or other-agent (tagged agent-<name> by another agent); messages this server sent are skipped unless excludeSelf is false.',
+    inputSchema: z.object({
+      since: z.string().optional().describe('Cursor to filter messages after this point'),
+      sinceTime: z.number().optional().describe('Unix timestamp - filter messages with time >= sinceTime'),
+      sinceNow: z.boolean().optional().default(true).describe('If true (default), only returns messages sent after this call starts. If false, returns all messages since the cursor.'),
+      excludeSelf: z.boolean().optional().default(true).describe('If true (default), ignore messages this server published so its own notifications are not mistaken for replies'),
+      timeoutSeconds: z.number().int().min(1).max(3600).optional().default(DEFAULT_ASK_TIMEOUT_SECONDS).describe('Give up and return timedOut: true after this long'),
+      filter: messageFilterSchema.optional().describe('Only return (and wake up for) messages matching all of these conditions; filter.origin overrides excludeSelf'),
+      unacknowledgedOnly: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe('Return every cached message not yet acknowledged with ack-messages (ignores since, sinceTime and sinceNow), waiting only if there are none')
+    }),
+    outputSchema: z.object({
+      newCount: z.number(),
+      timedOut: z.boolean(),
+      lastCursor: z.string().nullable(),
+      messages: z.array(
+        z.object({
+          id: z.string().nullable(),
+          time: z.number().nullable(),
+          title: z.string().nullable().default(null),
+          message: z.string().nullable(),
+          priority: z.number().nullable().default(null),
+          tags: z.array(z.string()).nullable().default(null),
+          topic: z.string().nullable(),
+          origin: z.enum(['self', 'human', 'other-agent']),
+          acknowledged: z.boolean()
+        })
+      )
+    })
+  },
+  async ({ since, sinceTime, sinceNow = true, excludeSelf = true, timeoutSeconds = DEFAULT_ASK_TIMEOUT_SECONDS, filter, unacknowledgedOnly = false }, extra) => {
+    if (!config.topic) {
+      throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+    }
+
+    // Compile before waiting so a bad pattern fails the call right away
+    const matchesFilter = filter ? compileMessageFilter(filter) : null;
+
+    if (since && !unacknowledgedOnly) {
+      lastCursor = since;
+    }
+
+    // Use existing subscription if available, otherwise create one
+    // Check if subscription is actually running (task exists and has an ID)
+    const subscriptionRunning = subscriptionTask && subscriptionId;
+    if (!subscriptionRunning) {
+      ensureSubscription();
+      debugLog('wait:created-subscription', { topic: config.topic, subscriptionId });
+    } else {
+      debugLog('wait:using-existing-subscription', { topic: config.topic, subscriptionId, messageCount: recentMessages.length });
+    }
+
+    const startTime = Math.floor(Date.now() / 1000);
+    const baselineCursor = lastCursor;
+    let newMessages = [];
+    const collect = () => {
+      newMessages = unacknowledgedOnly
+        ? messagesSinceCursor(null).filter((msg) => !msg.acknowledged)
+        : messagesSinceCursor(baselineCursor, sinceTime).filter((msg) => !sinceNow || (msg.time && msg.time >= startTime));
+      newMessages = newMessages.filter((msg) => filter?.origin || !excludeSelf || msg.origin !== 'self');
+      if (matchesFilter) {
+        newMessages = filterMessages(newMessages, filter, matchesFilter);
+      }
+      return newMessages.length > 0;
+    };
+
+    // Messages that are already waiting are returned immediately; otherwise wake up on each arrival
+    debugLog('wait:starting-wait', { topic: config.topic, baselineCursor, startTime, timeoutSeconds });
+    const found = await waitForMatchingMessage(collect, timeoutSeconds * 1000, extra);
+    debugLog(found ? 'wait:message-received' : 'wait:timed-out', {
+      count: newMessages.length,
+      waitTime: Math.floor(Date.now() / 1000) - startTime,
+      topic: config.topic
+    });
+
+    let messageText;
+    if (newMessages.length > 0) {
+      messageText = `Received ${newMessages.length} new message(s):\n\n`;
+      newMessages.forEach((msg, idx) => {
+        messageText += `Message ${idx + 1}:\n`;
+        if (msg.topic && subscriptionTopics().length > 1) messageText += `Topic: ${msg.topic}\n`;
+        if (msg.title) messageText += `Title: ${msg.title}\n`;
+        if (msg.message) {
+          const label = { self: 'Agent', 'other-agent': 'Other agent', human: 'Message' }[msg.origin];
+          messageText += `${label}: ${msg.message}\n`;
+        }
+        if (msg.time) messageText += `Time: ${new Date(msg.time * 1000).toISOString()}\n`;
+        if (msg.id) messageText += `ID: ${msg.id}\n`;
+        messageText += '\n';
+      });
+    } else {
+      messageText = `No new messages within ${timeoutSeconds}s. Call wait-and-read-inbox again to keep waiting.`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: messageText
+        }
+      ],
+      structuredContent: {
+        newCount: newMessages.length,
+        timedOut: !found,
+        lastCursor: lastCursor || null,
+        messages: newMessages
+      }
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'ack-messages',
+  {
+    title: 'Acknowledge messages',
+    description:
+      'Mark inbox messages as handled so they are not processed twice. Pass ids, upToId (that message and every older cached one) or all. ' +
+      'wait-and-read-inbox with unacknowledgedOnly returns only messages that have not been acknowledged. Use action "unack" to mark them unread again.',
+    inputSchema: z.object({
+      ids: z.array(z.string().min(1)).optional().describe('Message IDs to acknowledge'),
+      upToId: z.string().min(1).optional().describe('Acknowledge this message and every older message in the cache'),
+      all: z.boolean().optional().describe('Acknowledge every cached message'),
+      action: z.enum(['ack', 'unack']).optional().default('ack')
+    }),
+    outputSchema: z.object({
+      affected: z.number(),
+      unreadCount: z.number()
+    })
+  },
+  async ({ ids, upToId, all, action = 'ack' }) => {
+    if (!ids?.length && !upToId && !all) {
+      throw new Error('Provide ids, upToId or all.');
+    }
+    const selected = new Set(ids ?? []);
+    if (all) {
+      for (const msg of recentMessages) selected.add(msg.id);
+    } else if (upToId) {
+      const index = recentMessages.findIndex((msg) => msg.id === upToId);
+      if (index === -1) {
+        throw new Error(`Message "${upToId}" is not in the inbox cache`);
+      }
+      for (const msg of recentMessages.slice(index)) selected.add(msg.id);
+    }
+    selected.delete(undefined);
+
+    let affected = 0;
+    const now = Math.floor(Date.now() / 1000);
+    for (const id of selected) {
+      if (action === 'ack' && !acknowledgedIds.has(id)) {
+        acknowledgedIds.set(id, now);
+        affected += 1;
+      } else if (action === 'unack' && acknowledgedIds.delete(id)) {
+        affected += 1;
+      }
+    }
+    saveAcknowledgedIds();
+    if (affected > 0 && mcpServer.isConnected()) {
+      mcpServer.server.sendResourceUpdated({ uri: inboxUri }).catch(() => {});
+    }
+
+    const unreadCount = countUnread();
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${action === 'ack' ? 'Acknowledged' : 'Marked unread'} ${affected} message${affected === 1 ? '' : 's'}; ${unreadCount} unread.`
+        }
+      ],
+      structuredContent: { affected, unreadCount }
+    };
+  }
+);
+
+const searchResultSchema = z.object({
+  id: z.string().nullable(),
+  time: z.number().nullable(),
+  topic: z.string().nullable(),
+  title: z.string().nullable(),
+  message: z.string().nullable(),
+  priority: z.number().nullable(),
+  tags: z.array(z.string()).nullable(),
+  origin: z.enum(['self', 'human', 'other-agent']),
+  source: z.enum(['local', 'server']),
+  snippet: z.string()
+});
+
+mcpServer.registerTool(
+  'search-messages',
+  {
+    title: 'Search messages',
+    description:
+      'Full-text search over the locally persisted message history (title and body), newest first. Words must all appear; put "quoted phrases" in double quotes. ' +
+      'Filter by date range, tags, minimum priority and topic, and page through results with offset/limit. Snippets mark matches with **bold**. ' +
+      'Set includeServer to also search the ntfy server\'s cached backlog for the configured topic.',
+    inputSchema: z.object({
+      query: z.string().optional().describe('Keywords and "quoted phrases"; omit to list messages matching only the filters'),
+      from: z.union([z.string(), z.number()]).optional().describe('Earliest message time (ISO 8601 or Unix seconds)'),
+      to: z.union([z.string(), z.number()]).optional().describe('Latest message time (ISO 8601 or Unix seconds)'),
+      tags: z.array(z.string().min(1)).optional().describe('Only messages with any of these tags'),
+      minPriority: z.number().int().min(1).max(5).optional(),
+      topic: z.string().optional(),
+      includeServer: z.boolean().optional().default(false).describe('Also search the server backlog (since=all) for the configured topic'),
+      offset: z.number().int().min(0).optional().default(0),
+      limit: z.number().int().min(1).max(100).optional().default(20)
+    }),
+    outputSchema: z.object({
+      total: z.number(),
+      offset: z.number(),
+      nextOffset: z.number().nullable(),
+      results: z.array(searchResultSchema)
+    })
+  },
+  async ({ query = '', from, to, tags, minPriority, topic, includeServer = false, offset = 0, limit = 20 }) => {
+    const terms = parseSearchQuery(query);
+    const fromTime = from !== undefined ? toUnixSeconds(from) : null;
+    const toTime = to !== undefined ? toUnixSeconds(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw new Error('from and to must be ISO 8601 dates or Unix timestamps');
+    }
+
+    const candidates = new Map();
+    for (const msg of messageHistory) {
+      if (msg.id) candidates.set(msg.id, { ...msg, source: 'local' });
+    }
+    if (includeServer) {
+      for (const msg of await fetchServerBacklog()) {
+        if (msg.id && !candidates.has(msg.id)) candidates.set(msg.id, { ...msg, source: 'server' });
+      }
+    }
+
+    const matches = [...candidates.values()]
+      .filter((msg) => {
+        if (fromTime !== null && (msg.time ?? 0) < fromTime) return false;
+        if (toTime !== null && (msg.time ?? 0) > toTime) return false;
+        if (tags?.length && !tags.some((tag) => msg.tags?.includes(tag))) return false;
+        if (minPriority && (msg.priority ?? 3) < minPriority) return false;
+        if (topic && msg.topic !== topic) return false;
+        const text = `${msg.title ?? ''}\n${msg.message ?? ''}`.toLowerCase();
+        return terms.every((term) => text.includes(term));
+      })
+      .sort((a, b) => (b.time ?? 0) - (a.time ?? 0));
+
+    const page = matches.slice(offset, offset + limit).map((msg) => ({
+      id: msg.id ?? null,
+      time: msg.time ?? null,
+      topic: msg.topic ?? null,
+      title: msg.title ?? null,
+      message: msg.message ?? null,
+      priority: msg.priority ?? null,
+      tags: msg.tags ?? null,
+      origin: msg.origin ?? classifyOrigin(msg),
+      source: msg.source,
+      snippet: searchSnippet(msg, terms)
+    }));
+    const nextOffset = offset + page.length < matches.length ? offset + page.length : null;
+
+    const lines = page.map(
+      (result) => `- ${result.id} (${result.time ? new Date(result.time * 1000).toISOString() : 'unknown time'}): ${result.snippet}`
+    );
+    let text = `${matches.length} message${matches.length === 1 ? '' : 's'} found`;
+    if (page.length > 0) text += `, showing ${offset + 1}-${offset + page.length}:\n${lines.join('\n')}`;
+    if (nextOffset !== null) text += `\nMore results: call again with offset ${nextOffset}.`;
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: { total: matches.length, offset, nextOffset, results: page }
+    };
+  }
+);
+
+// Split a query into lowercase terms; "double quoted" text is kept together as one phrase
+function parseSearchQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const term = (match[1] ?? match[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+// Up to SNIPPET_CONTEXT characters around the first match, with every term marked in **bold**
+function searchSnippet(msg, terms) {
+  const text = [msg.title, msg.message].filter(Boolean).join(' — ').replace(/\s+/g, ' ');
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map((term) => lower.indexOf(term)).filter((index) => index !== -1));
+  const start = Number.isFinite(first) ? Math.max(0, first - SNIPPET_CONTEXT) : 0;
+  const end = Math.min(text.length, (Number.isFinite(first) ? first : 0) + SNIPPET_CONTEXT * 2);
+  let snippet = text.slice(start, end);
+  if (terms.length > 0) {
+    const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    snippet = snippet.replace(new RegExp(`(${escaped.join('|')})`, 'gi'), '**$1**');
+  }
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+// One-off poll of everything the server still caches for the subscribed topics
+async function fetchServerBacklog() {
+  if (!config.topic) {
+    throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+  }
+  const url = `${config.baseUrl}/${subscriptionTopicPath()}/json?since=all&poll=1`;
+  const response = await fetch(url, {
+    headers: authHeaders(),
+    dispatcher: fetchDispatcher,
+    signal: AbortSignal.timeout(config.fetchTimeoutMs > 0 ? config.fetchTimeoutMs : DEFAULT_FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`ntfy backlog request failed (${response.status}): ${await response.text()}`);
+  }
+  const messages = [];
+  for (const line of (await response.text()).split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const message = JSON.parse(line);
+      if (message.event === 'message') {
+        messages.push({
+          id: message.id,
+          time: message.time,
+          title: message.title,
+          message: message.message,
+          priority: message.priority,
+          tags: message.tags,
+          topic: message.topic
+        });
+      }
+    } catch (error) {
+      debugLog('search:backlog-parse-error', { error: String(error) });
+    }
+  }
+  debugLog('search:backlog', { topic: config.topic, count: messages.length });
+  return messages;
+}
+
+mcpServer.registerTool(
+  'ask-user',
+  {
+    title: 'Ask the user a question',
+    description:
+      'Publish a question and wait for the reply to it. Only replies that reference the question count: a reply tagged re-<questionId>, ' +
+      'a message quoting the question ID, or a tap on one of the quickReplies buttons. Unrelated messages are ignored. ' +
+      'If the wait times out the question stays pending; call ask-user again with the same question or questionId to keep waiting without re-asking.',
+    inputSchema: z.object({
+      question: z.string().min(1).optional().describe('Question text (required unless resuming with questionId)'),
+      questionId: z.string().min(1).optional().describe('Resume waiting for a previously asked question'),
+      title: z.string().optional(),
+      priority: z.number().int().min(1).max(5).optional(),
+      quickReplies: z
+        .array(z.string().min(1).max(100))
+        .max(MAX_ACTIONS)
+        .optional()
+        .describe('Up to three one-tap answers shown as notification buttons'),
+      escalation: z.string().min(1).optional().describe('Escalation policy to apply if nobody answers (see NTFY_ESCALATION_POLICIES)'),
+      timeoutSeconds: z.number().int().min(1).max(3600).optional().default(DEFAULT_ASK_TIMEOUT_SECONDS)
+    }),
+    outputSchema: z.object({
+      questionId: z.string(),
+      status: z.enum(['answered', 'pending']),
+      answer: z.string().nullable(),
+      answerMessageId: z.string().nullable(),
+      answeredAt: z.number().nullable(),
+      resumed: z.boolean()
+    })
+  },
+  async ({ question, questionId, title, priority, quickReplies, escalation, timeoutSeconds = DEFAULT_ASK_TIMEOUT_SECONDS }, extra) => {
+    if (!config.topic) {
+      throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+    }
+    let record = questionId ? questions.get(questionId) : findPendingQuestion(question);
+    if (questionId && (!record || (record.kind ?? 'text') !== 'text')) {
+      throw new Error(`Unknown questionId "${questionId}"`);
+    }
+    const resumed = Boolean(record);
+    if (!record) {
+      if (!question) {
+        throw new Error('Provide the question text, or a questionId to resume.');
+      }
+      record = await askQuestion({ question, title, priority, quickReplies, escalation });
+    }
+
+    ensureSubscription();
+    if (record.status === 'pending') {
+      debugLog('ask:waiting', { questionId: record.id, resumed, timeoutSeconds });
+      await waitForMatchingMessage(() => matchQuestionReply(record), timeoutSeconds * 1000, extra);
+    }
+
+    const answered = record.status === 'answered';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: answered
+            ? `Answer to ${record.id}: ${record.answer}`
+            : `No reply to ${record.id} yet. The question is still pending; call ask-user again with questionId "${record.id}" to keep waiting.`
+        }
+      ],
+      structuredContent: {
+        questionId: record.id,
+        status: answered ? 'answered' : 'pending',
+        answer: record.answer ?? null,
+        answerMessageId: record.answerMessageId ?? null,
+        answeredAt: record.answeredAt ?? null,
+        resumed
+      }
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'request-approval',
+  {
+    title: 'Request approval',
+    description:
+      'Publish an approval request with Approve / Deny buttons and wait for the decision. The buttons post a signed decision back to the topic; ' +
+      'decisions with an invalid signature or that arrive after the request expires are rejected. Returns decision approved, denied or expired, ' +
+      'or pending if the wait timed out first (call again with approvalId to keep waiting).',
+    inputSchema: z.object({
+      summary: z.string().min(1).optional().describe('What needs approval (required unless resuming with approvalId)'),
+      details: z.string().optional(),
+      approvalId: z.string().min(1).optional().describe('Resume waiting for an earlier approval request'),
+      title: z.string().optional(),
+      priority: z.number().int().min(1).max(5).optional().default(4),
+      expiresInSeconds: z.number().int().min(10).max(7 * 24 * 3600).optional().default(DEFAULT_APPROVAL_EXPIRY_SECONDS),
+      escalation: z.string().min(1).optional().describe('Escalation policy to apply if nobody answers (see NTFY_ESCALATION_POLICIES)'),
+      timeoutSeconds: z.number().int().min(1).max(3600).optional().default(DEFAULT_ASK_TIMEOUT_SECONDS)
+    }),
+    outputSchema: z.object({
+      approvalId: z.string(),
+      decision: z.enum(['approved', 'denied', 'expired', 'pending']),
+      by: z.string().nullable(),
+      at: z.number().nullable(),
+      expiresAt: z.number(),
+      rejectedDecisions: z.number()
+    })
+  },
+  async (args, extra) => {
+    const { summary, approvalId, timeoutSeconds = DEFAULT_ASK_TIMEOUT_SECONDS } = args;
+    if (!config.topic) {
+      throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+    }
+    let record = approvalId ? approvals.get(approvalId) : findPendingApproval(summary);
+    if (approvalId && !record) {
+      throw new Error(`Unknown approvalId "${approvalId}"`);
+    }
+    if (!record) {
+      if (!summary) {
+        throw new Error('Provide a summary, or an approvalId to resume.');
+      }
+      record = await publishApprovalRequest(args);
+    }
+
+    ensureSubscription();
+    if (record.decision === 'pending') {
+      const untilExpiry = record.expiresAt * 1000 - Date.now();
+      const waitMs = Math.min(timeoutSeconds * 1000, Math.max(0, untilExpiry));
+      await waitForMatchingMessage(() => matchApprovalDecision(record), waitMs, extra);
+      if (record.decision === 'pending' && Date.now() >= record.expiresAt * 1000) {
+        record.decision = 'expired';
+        record.at = record.expiresAt;
+        saveApprovals();
+        debugLog('approval:expired', { approvalId: record.id });
+      }
+    }
+
+    const { id, decision, by = null, at = null, expiresAt, rejectedDecisions = 0 } = record;
+    const text =
+      decision === 'pending'
+        ? `Approval ${id} is still pending (expires ${new Date(expiresAt * 1000).toISOString()}). Call request-approval again with approvalId "${id}" to keep waiting.`
+        : `Approval ${id}: ${decision}${by ? ` by ${by}` : ''}`;
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: { approvalId: id, decision, by, at, expiresAt, rejectedDecisions }
+    };
+  }
+);
+
+async function publishApprovalRequest({ summary, details, title, priority, expiresInSeconds = DEFAULT_APPROVAL_EXPIRY_SECONDS, escalation }) {
+  const policy = resolveEscalationPolicy(escalation);
+  const id = `a-${crypto.randomBytes(3).toString('hex')}`;
+  const expiresAt = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const button = (label, decision) =>
+    replyAction(label, signApprovalToken(id, decision, expiresAt), { Title: `${label}: ${id}`, Tags: `approval,${id}` });
+  const lines = [summary];
+  if (details) lines.push('', details);
+  lines.push('', `Expires ${new Date(expiresAt * 1000).toISOString()}`);
+  const notification = {
+    topic: config.topic,
+    title: title || 'Approval needed',
+    message: lines.join('\n'),
+    priority,
+    tags: ['lock', id],
+    actions: [button('Approve', 'approve'), button('Deny', 'deny')]
+  };
+  const result = await publishMessage(notification);
+
+  const record = {
+    id,
+    summary,
+    topic: config.topic,
+    messageId: result.id ?? null,
+    requestedAt: result.time ?? Math.floor(Date.now() / 1000),
+    expiresAt,
+    decision: 'pending'
+  };
+  approvals.set(id, record);
+  saveApprovals();
+  debugLog('approval:published', { approvalId: id, expiresAt });
+  startEscalation(record, notification, policy);
+  return record;
+}
+
+function findPendingApproval(summary) {
+  if (!summary) return null;
+  for (const record of approvals.values()) {
+    if (record.decision === 'pending' && record.topic === config.topic && record.summary === summary) {
+      return record;
+    }
+  }
+  return null;
+}
+
+// Accept the first correctly signed, unexpired decision for this approval. With dryRun only report
+// whether there is one, without recording the decision or the rejected ones.
+function matchApprovalDecision(record, { dryRun = false } = {}) {
+  for (const msg of [...recentMessages].reverse()) {
+    const match = APPROVAL_TOKEN.exec(msg.message?.trim() ?? '');
+    if (!match || match[1] !== record.id) continue;
+    const [token, , decision, expiresAt] = match;
+    if (record.seenDecisionIds?.includes(msg.id)) continue;
+    let reason = null;
+    if (expiresAt !== String(record.expiresAt) || !approvalTokenMatches(signApprovalToken(record.id, decision, record.expiresAt), token)) {
+      reason = 'bad signature';
+    } else if ((msg.time ?? Math.floor(Date.now() / 1000)) > record.expiresAt) {
+      reason = 'expired';
+    }
+    if (reason && dryRun) continue;
+    if (reason) {
+      record.seenDecisionIds = [...(record.seenDecisionIds ?? []), msg.id];
+      record.rejectedDecisions = (record.rejectedDecisions ?? 0) + 1;
+      saveApprovals();
+      debugLog('approval:rejected', { approvalId: record.id, messageId: msg.id, reason });
+      continue;
+    }
+    if (dryRun) return true;
+    record.decision = decision === 'approve' ? 'approved' : 'denied';
+    // ntfy doesn't say who posted a message, so `by` names the channel the signed decision came through
+    record.by = 'ntfy-action';
+    record.at = msg.time ?? Math.floor(Date.now() / 1000);
+    record.decisionMessageId = msg.id;
+    saveApprovals();
+    debugLog('approval:decided', { approvalId: record.id, decision: record.decision, messageId: msg.id });
+    return true;
+  }
+  return false;
+}
+
+// timingSafeEqual throws on buffers of different length, so only compare tokens of equal length
+function approvalTokenMatches(expected, token) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function signApprovalToken(id, decision, expiresAt) {
+  const signature = crypto
+    .createHmac('sha256', getApprovalSecret())
+    .update(`${id}:${decision}:${expiresAt}`)
+    .digest('hex')
+    .slice(0, 32);
+  return `approval:${id}:${decision}:${expiresAt}:${signature}`;
+}
+
+// NTFY_APPROVAL_SECRET wins; otherwise a random key is generated once and kept in the data directory
+function getApprovalSecret() {
+  if (approvalSecret) return approvalSecret;
+  if (process.env.NTFY_APPROVAL_SECRET) {
+    approvalSecret = process.env.NTFY_APPROVAL_SECRET;
+    return approvalSecret;
+  }
+  try {
+    if (fs.existsSync(APPROVAL_KEY_PATH)) {
+      approvalSecret = fs.readFileSync(APPROVAL_KEY_PATH, 'utf8').trim();
+    }
+  } catch (error) {
+    debugLog('approval:key-read-error', { error: String(error) });
+  }
+  if (!approvalSecret) {
+    approvalSecret = crypto.randomBytes(32).toString('hex');
+    try {
+      fs.writeFileSync(APPROVAL_KEY_PATH, approvalSecret, { mode: 0o600 });
+    } catch (error) {
+      debugLog('approval:key-write-error', { error: String(error) });
+    }
+  }
+  return approvalSecret;
+}
+
+function saveApprovals() {
+  try {
+    const cutoff = Date.now() - ANSWERED_QUESTION_RETENTION_MS;
+    for (const [id, record] of approvals) {
+      // A pending approval nobody waited on past its expiry is as finished as a decided one
+      const endedAt = record.decision === 'pending' ? record.expiresAt : record.at;
+      if (endedAt * 1000 < cutoff) {
+        approvals.delete(id);
+      }
+    }
+    fs.writeFileSync(APPROVALS_PATH, JSON.stringify(Object.fromEntries(approvals), null, 2));
+  } catch (error) {
+    debugLog('approval:write-error', { error: String(error) });
+  }
+}
+
+function loadApprovals() {
+  try {
+    if (!fs.existsSync(APPROVALS_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(APPROVALS_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      for (const [id, record] of Object.entries(parsed)) {
+        approvals.set(id, record);
+      }
+      debugLog('approval:loaded', { count: approvals.size });
+    }
+  } catch (error) {
+    debugLog('approval:load-error', { error: String(error) });
+  }
+}
+
+async function askQuestion({ question, title, priority, quickReplies, escalation }) {
+  const policy = resolveEscalationPolicy(escalation);
+  const id = `q-${crypto.randomBytes(3).toString('hex')}`;
+  const replyTag = `re-${id}`;
+  // Buttons post the answer straight back to the topic, tagged so it correlates with this question
+  const actions = quickReplies?.map((reply) => replyAction(reply, reply, { Tags: replyTag }));
+  const notification = {
+    topic: config.topic,
+    title: title || 'Question',
+    message: `${question}\n\n(Reply with "${id}: <answer>" so the agent can match it.)`,
+    priority,
+    tags: ['question', id],
+    actions
+  };
+  const result = await publishMessage(notification);
+
+  const record = {
+    id,
+    kind: 'text',
+    question,
+    topic: config.topic,
+    messageId: result.id ?? null,
+    askedAt: result.time ?? Math.floor(Date.now() / 1000),
+    expiresAt: Math.floor((Date.now() + PENDING_QUESTION_RETENTION_MS) / 1000),
+    status: 'pending'
+  };
+  questions.set(id, record);
+  saveQuestions();
+  debugLog('ask:published', { questionId: id, messageId: record.messageId });
+  startEscalation(record, notification, policy);
+  return record;
+}
+
+function findPendingQuestion(question, kind = 'text') {
+  if (!question) return null;
+  for (const record of questions.values()) {
+    const recordKind = record.kind ?? 'text';
+    if (record.status === 'pending' && recordKind === kind && record.topic === config.topic && record.question === question) {
+      return record;
+    }
+  }
+  return null;
+}
+
+// Look for a reply to the question in the cache; records the answer when one is found (unless dryRun)
+function matchQuestionReply(record, { dryRun = false } = {}) {
+  const quoted = new RegExp(`(^|[^\\w-])#?${record.id}(?![\\w-])\\s*[:\\-–]?\\s*`, 'i');
+  // recentMessages is newest first; the earliest matching reply wins
+  for (const msg of [...recentMessages].reverse()) {
+    if (!msg.id || msg.id === record.messageId || (msg.time && msg.time < record.askedAt)) continue;
+    if (msg.origin === 'self' || msg.tags?.includes(record.id)) continue; // our own question echoed back by the subscription
+    if (msg.topic && record.topic && msg.topic !== record.topic) continue; // replies come on the question's topic
+    let answer = null;
+    if (msg.tags?.includes(`re-${record.id}`)) {
+      answer = msg.message ?? '';
+    } else if (msg.message && quoted.test(msg.message)) {
+      answer = msg.message.replace(quoted, '$1').trim();
+    }
+    if (answer !== null && dryRun) return true;
+    if (answer !== null) {
+      record.status = 'answered';
+      record.answer = answer;
+      record.answerMessageId = msg.id;
+      record.answeredAt = msg.time ?? Math.floor(Date.now() / 1000);
+      saveQuestions();
+      debugLog('ask:answered', { questionId: record.id, messageId: msg.id });
+      return true;
+    }
+  }
+  return false;
+}
+
+// Resolve when predicate() returns true, re-checking whenever a message arrives, or after timeoutMs
+// Re-check predicate whenever a message arrives. extra is the tool call's request context: when the client
+// sent a progressToken, progress is reported every WAIT_PROGRESS_INTERVAL_MS so it can keep extending its
+// timeout, and a cancelled call stops waiting.
+async function waitForMatchingMessage(predicate, timeoutMs, extra) {
+  const startedAt = Date.now();
+  const deadline = startedAt + timeoutMs;
+  const progressToken = extra?._meta?.progressToken;
+  let nextProgressAt = startedAt;
+  while (true) {
+    const baselineVersion = messageVersion;
+    if (predicate()) return true;
+    const now = Date.now();
+    const remaining = deadline - now;
+    if (remaining <= 0 || extra?.signal?.aborted) return false;
+    if (progressToken !== undefined && now >= nextProgressAt) {
+      const elapsed = Math.floor((now - startedAt) / 1000);
+      const total = Math.ceil(timeoutMs / 1000);
+      extra
+        .sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress: elapsed, total, message: `Waiting for messages (${elapsed}s of ${total}s)` }
+        })
+        .catch((error) => debugLog('wait:progress-error', { error: String(error) }));
+      nextProgressAt = now + WAIT_PROGRESS_INTERVAL_MS;
+    }
+    const waitMs = progressToken !== undefined ? Math.min(remaining, nextProgressAt - now) : remaining;
+    await waitForNewMessages(baselineVersion, waitMs, extra?.signal);
+  }
+}
+
+mcpServer.registerTool(
+  'ask-choice',
+  {
+    title: 'Ask the user to choose',
+    description:
+      'Publish a multiple-choice question as a numbered list, with buttons for the first three options, and wait for the selection. ' +
+      'Replies can be the option number, the option key or label, or a button tap. Ambiguous replies get an automatic clarification message. ' +
+      'Returns the selected option key. If the wait times out, call again with the same question or questionId to keep waiting.',
+    inputSchema: z.object({
+      question: z.string().min(1).optional().describe('Question text (required unless resuming with questionId)'),
+      options: z
+        .array(z.object({ key: z.string().min(1).max(64), label: z.string().min(1).max(100) }))
+        .min(2)
+        .max(20)
+        .optional()
+        .describe('Options to choose from (required unless resuming with questionId)'),
+      questionId: z.string().min(1).optional().describe('Resume waiting for a previously asked choice'),
+      title: z.string().optional(),
+      priority: z.number().int().min(1).max(5).optional(),
+      escalation: z.string().min(1).optional().describe('Escalation policy to apply if nobody answers (see NTFY_ESCALATION_POLICIES)'),
+      timeoutSeconds: z.number().int().min(1).max(3600).optional().default(DEFAULT_ASK_TIMEOUT_SECONDS)
+    }),
+    outputSchema: z.object({
+      questionId: z.string(),
+      status: z.enum(['answered', 'pending']),
+      selectedKey: z.string().nullable(),
+      selectedLabel: z.string().nullable(),
+      answerMessageId: z.string().nullable(),
+      clarificationsSent: z.number(),
+      resumed: z.boolean()
+    })
+  },
+  async ({ question, options, questionId, title, priority, escalation, timeoutSeconds = DEFAULT_ASK_TIMEOUT_SECONDS }, extra) => {
+    if (!config.topic) {
+      throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+    }
+    let record = questionId ? questions.get(questionId) : findPendingQuestion(question, 'choice');
+    if (questionId && record?.kind !== 'choice') {
+      throw new Error(`Unknown choice questionId "${questionId}"`);
+    }
+    const resumed = Boolean(record);
+    if (!record) {
+      if (!question || !options) {
+        throw new Error('Provide the question and options, or a questionId to resume.');
+      }
+      const keys = new Set(options.map((option) => option.key.toLowerCase()));
+      if (keys.size !== options.length) {
+        throw new Error('Option keys must be unique.');
+      }
+      record = await askChoice({ question, options, title, priority, escalation });
+    }
+
+    ensureSubscription();
+    if (record.status === 'pending') {
+      debugLog('choice:waiting', { questionId: record.id, resumed, timeoutSeconds });
+      await waitForMatchingMessage(() => matchChoiceReply(record), timeoutSeconds * 1000, extra);
+    }
+
+    const answered = record.status === 'answered';
+    const selected = record.options.find((option) => option.key === record.selectedKey);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: answered
+            ? `Selected option for ${record.id}: ${selected.key} (${selected.label})`
+            : `No choice made for ${record.id} yet. Call ask-choice again with questionId "${record.id}" to keep waiting.`
+        }
+      ],
+      structuredContent: {
+        questionId: record.id,
+        status: answered ? 'answered' : 'pending',
+        selectedKey: selected?.key ?? null,
+        selectedLabel: selected?.label ?? null,
+        answerMessageId: record.answerMessageId ?? null,
+        clarificationsSent: record.clarifiedMessageIds?.length ?? 0,
+        resumed
+      }
+    };
+  }
+);
+
+async function askChoice({ question, options, title, priority, escalation }) {
+  const policy = resolveEscalationPolicy(escalation);
+  const id = `c-${crypto.randomBytes(3).toString('hex')}`;
+  const actions = options.slice(0, MAX_ACTIONS).map((option) => replyAction(option.label, option.key, { Tags: `re-${id}` }));
+  const notification = {
+    topic: config.topic,
+    title: title || 'Choose an option',
+    message: `${question}\n\n${formatChoiceOptions(options)}\n\nReply with a number or option name.`,
+    priority,
+    tags: ['question', id],
+    actions
+  };
+  const result = await publishMessage(notification);
+
+  const record = {
+    id,
+    kind: 'choice',
+    question,
+    options,
+    topic: config.topic,
+    messageId: result.id ?? null,
+    askedAt: result.time ?? Math.floor(Date.now() / 1000),
+    expiresAt: Math.floor((Date.now() + PENDING_QUESTION_RETENTION_MS) / 1000),
+    status: 'pending'
+  };
+  questions.set(id, record);
+  saveQuestions();
+  debugLog('choice:published', { questionId: id, messageId: record.messageId });
+  startEscalation(record, notification, policy);
+  return record;
+}
+
+function formatChoiceOptions(options) {
+  return options.map((option, index) => `${index + 1}. ${option.label}`).join('\n');
+}
+
+// Find the first reply that selects an option. Replies that reference the question (button tap or
+// quoted ID) always count and may abbreviate a label; ambiguous or unknown ones get one clarification each.
+// A reply without a reference only counts while this is the sole open choice on the topic, and only when
+// it is exactly an option number, key or label, so chatter is never taken as an answer or clarified.
+// With dryRun only report whether there is an answer: nothing is recorded and no clarification is sent.
+function matchChoiceReply(record, { dryRun = false } = {}) {
+  const quoted = new RegExp(`(^|[^\\w-])#?${record.id}(?![\\w-])\\s*[:\\-–]?\\s*`, 'i');
+  const acceptUnreferenced = pendingQuestionCount('choice', record.topic) === 1;
+  for (const msg of [...recentMessages].reverse()) {
+    if (!msg.id || msg.id === record.messageId || (msg.time && msg.time < record.askedAt)) continue;
+    if (msg.origin === 'self' || msg.tags?.includes(record.id) || !msg.message) continue; // our own question or clarification
+    if (msg.topic && record.topic && msg.topic !== record.topic) continue;
+    if (record.clarifiedMessageIds?.includes(msg.id)) continue;
+
+    const referenced = msg.tags?.includes(`re-${record.id}`) || quoted.test(msg.message);
+    if (!referenced && !acceptUnreferenced) continue;
+    const text = msg.message.replace(quoted, '$1').trim();
+    const candidates = resolveChoice(record.options, text, referenced);
+    if (candidates.length === 1 && dryRun) return true;
+    if (candidates.length === 1) {
+      record.status = 'answered';
+      record.selectedKey = candidates[0].key;
+      record.answerMessageId = msg.id;
+      record.answeredAt = msg.time ?? Math.floor(Date.now() / 1000);
+      saveQuestions();
+      debugLog('choice:answered', { questionId: record.id, key: record.selectedKey, messageId: msg.id });
+      return true;
+    }
+    if (referenced && !dryRun) {
+      record.clarifiedMessageIds = [...(record.clarifiedMessageIds ?? []), msg.id];
+      saveQuestions();
+      sendChoiceClarification(record, text, candidates);
+    }
+  }
+  return false;
+}
+
+// Options matching a reply: a 1-based number, an exact key/label, or (when loose) labels the reply
+// mentions or abbreviates
+function resolveChoice(options, reply, loose = true) {
+  const text = reply.toLowerCase().replace(/[.!?]+$/, '').trim();
+  if (!text) return [];
+  if (/^\d+$/.test(text)) {
+    const option = options[Number(text) - 1];
+    return option ? [option] : [];
+  }
+  const exact = options.filter((option) => option.key.toLowerCase() === text || option.label.toLowerCase() === text);
+  if (exact.length || !loose) return exact;
+  return options.filter((option) => {
+    const label = option.label.toLowerCase();
+    return text.includes(label) || text.includes(option.key.toLowerCase()) || label.startsWith(text);
+  });
+}
+
+function pendingQuestionCount(kind, topic) {
+  let count = 0;
+  for (const record of questions.values()) {
+    if ((record.kind ?? 'text') === kind && record.status === 'pending' && record.topic === topic) count += 1;
+  }
+  return count;
+}
+
+function sendChoiceClarification(record, reply, candidates) {
+  const listed = candidates.length > 1 ? candidates : record.options;
+  const intro = candidates.length > 1
+    ? `"${reply}" matches more than one option.`
+    : `"${reply}" doesn't match any option.`;
+  debugLog('choice:clarify', { questionId: record.id, reply, candidates: candidates.map((option) => option.key) });
+  publishMessage({
+    topic: record.topic,
+    title: 'Please clarify',
+    message: `${intro} Reply with the number of your choice:\n\n${listed
+      .map((option) => `${record.options.indexOf(option) + 1}. ${option.label}`)
+      .join('\n')}`,
+    tags: ['question', record.id]
+  }).catch((error) => debugLog('choice:clarify-error', { questionId: record.id, error: String(error) }));
+}
+
+mcpServer.registerTool(
+  'request-input',
+  {
+    title: 'Request structured input',
+    description:
+      'Ask the user for structured data described by a JSON Schema (with an optional example) and wait for a valid reply. ' +
+      'Replies may be JSON, YAML or "key: value" lines. Invalid replies get the validation errors sent back and the tool keeps waiting; ' +
+      'only data that passes the schema is returned. If the wait times out, call again with the same question or questionId to keep waiting.',
+    inputSchema: z.object({
+      question: z.string().min(1).optional().describe('What to ask for (required unless resuming with questionId)'),
+      schema: z.record(z.unknown()).optional().describe('JSON Schema the reply must satisfy (required unless resuming)'),
+      example: z.unknown().optional().describe('Example of a valid reply, shown to the user'),
+      questionId: z.string().min(1).optional().describe('Resume waiting for an earlier request'),
+      title: z.string().optional(),
+      priority: z.number().int().min(1).max(5).optional(),
+      escalation: z.string().min(1).optional().describe('Escalation policy to apply if nobody answers (see NTFY_ESCALATION_POLICIES)'),
+      timeoutSeconds: z.number().int().min(1).max(3600).optional().default(DEFAULT_ASK_TIMEOUT_SECONDS)
+    }),
+    outputSchema: z.object({
+      questionId: z.string(),
+      status: z.enum(['answered', 'pending']),
+      data: z.unknown().optional(),
+      format: z.enum(['json', 'yaml', 'text']).nullable(),
+      answerMessageId: z.string().nullable(),
+      invalidReplies: z.number(),
+      resumed: z.boolean()
+    })
+  },
+  async ({ question, schema, example, questionId, title, priority, escalation, timeoutSeconds = DEFAULT_ASK_TIMEOUT_SECONDS }, extra) => {
+    if (!config.topic) {
+      throw new Error('Topic not configured. Set NTFY_TOPIC in mcp.json env section.');
+    }
+    let record = questionId ? questions.get(questionId) : findPendingQuestion(question, 'input');
+    if (questionId && record?.kind !== 'input') {
+      throw new Error(`Unknown input questionId "${questionId}"`);
+    }
+    const resumed = Boolean(record);
+    if (!record) {
+      if (!question || !schema) {
+        throw new Error('Provide the question and schema, or a questionId to resume.');
+      }
+      // Compile before publishing so a broken schema fails the call instead of reaching the user
+      compileInputValidator(schema);
+      record = await askForInput({ question, schema, example, title, priority, escalation });
+    }
+
+    ensureSubscription();
+    if (record.status === 'pending') {
+      debugLog('input:waiting', { questionId: record.id, resumed, timeoutSeconds });
+      await waitForMatchingMessage(() => matchInputReply(record), timeoutSeconds * 1000, extra);
+    }
+
+    const answered = record.status === 'answered';
+    const structuredContent = {
+      questionId: record.id,
+      status: answered ? 'answered' : 'pending',
+      format: record.format ?? null,
+      answerMessageId: record.answerMessageId ?? null,
+      invalidReplies: record.invalidMessageIds?.length ?? 0,
+      resumed
+    };
+    if (answered) {
+      structuredContent.data = record.data;
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: answered
+            ? `Valid input for ${record.id}:\n${JSON.stringify(record.data, null, 2)}`
+            : `No valid input for ${record.id} yet. Call request-input again with questionId "${record.id}" to keep waiting.`
+        }
+      ],
+      structuredContent
+    };
+  }
+);
+
+async function askForInput({ question, schema, example, title, priority, escalation }) {
+  const policy = resolveEscalationPolicy(escalation);
+  const id = `i-${crypto.randomBytes(3).toString('hex')}`;
+  const lines = [question, '', 'Reply with JSON, YAML or "key: value" lines.'];
+  if (example !== undefined) {
+    lines.push('', 'Example:', typeof example === 'string' ? example : JSON.stringify(example, null, 2));
+  }
+  const notification = {
+    topic: config.topic,
+    title: title || 'Input needed',
+    message: lines.join('\n'),
+    priority,
+    tags: ['question', id]
+  };
+  const result = await publishMessage(notification);
+
+  const record = {
+    id,
+    kind: 'input',
+    question,
+    schema,
+    topic: config.topic,
+    messageId: result.id ?? null,
+    askedAt: result.time ?? Math.floor(Date.now() / 1000),
+    expiresAt: Math.floor((Date.now() + PENDING_QUESTION_RETENTION_MS) / 1000),
+    status: 'pending'
+  };
+  questions.set(id, record);
+  saveQuestions();
+  debugLog('input:published', { questionId: id, messageId: record.messageId });
+  startEscalation(record, notification, policy);
+  return record;
+}
+
+function compileInputValidator(schema) {
+  // coerceTypes lets quoted or text values such as "port: '8080'" satisfy {type: "integer"}
+  const ajv = new Ajv({ allErrors: true, coerceTypes: 'array', useDefaults: true, strict: false });
+  addFormats(ajv);
+  try {
+    return ajv.compile(schema);
+  } catch (error) {
+    throw new Error(`Invalid JSON Schema: ${error.message}`);
+  }
+}
+
+// Accept the first reply that parses and validates. Replies that reference the question, or that are
+// clearly structured (JSON/YAML), get the validation errors sent back; plain chatter is ignored.
+// With dryRun only report whether there is a valid reply, without recording it or sending errors back.
+function matchInputReply(record, { dryRun = false } = {}) {
+  if (!inputValidators.has(record.id)) {
+    inputValidators.set(record.id, compileInputValidator(record.schema));
+  }
+  const validate = inputValidators.get(record.id);
+  const quoted = new RegExp(`(^|[^\\w-])#?${record.id}(?![\\w-])\\s*[:\\-–]?\\s*`, 'i');
+  // Like choices: without a reference a reply only counts while this is the sole open input request,
+  // and only a referenced reply is ever answered with an "Invalid reply" notice
+  const acceptUnreferenced = pendingQuestionCount('input', record.topic) === 1;
+  for (const msg of [...recentMessages].reverse()) {
+    if (!msg.id || msg.id === record.messageId || (msg.time && msg.time < record.askedAt)) continue;
+    if (msg.origin === 'self' || msg.tags?.includes(record.id) || !msg.message) continue; // our own question or error replies
+    if (msg.topic && record.topic && msg.topic !== record.topic) continue;
+    if (record.invalidMessageIds?.includes(msg.id)) continue;
+
+    const referenced = msg.tags?.includes(`re-${record.id}`) || quoted.test(msg.message);
+    if (!referenced && !acceptUnreferenced) continue;
+    const parsed = parseStructuredReply(msg.message.replace(quoted, '$1'));
+    const data = structuredClone(parsed.value);
+    const valid = validate(data);
+    if (valid && dryRun) return true;
+    if (valid) {
+      record.status = 'answered';
+      record.data = data;
+      record.format = parsed.format;
+      record.answerMessageId = msg.id;
+      record.answeredAt = msg.time ?? Math.floor(Date.now() / 1000);
+      saveQuestions();
+      debugLog('input:answered', { questionId: record.id, format: parsed.format, messageId: msg.id });
+      return true;
+    }
+    if (referenced && !dryRun) {
+      const errors = (validate.errors ?? []).map((error) => `${error.instancePath || '(root)'} ${error.message}`);
+      record.invalidMessageIds = [...(record.invalidMessageIds ?? []), msg.id];
+      saveQuestions();
+      debugLog('input:invalid', { questionId: record.id, messageId: msg.id, errors });
+      publishMessage({
+        topic: record.topic,
+        title: 'Invalid reply',
+        message: `That reply doesn't match what's needed:\n${errors.map((error) => `- ${error}`).join('\n')}\n\nPlease try again.`,
+        tags: ['question', record.id]
+      }).catch((error) => debugLog('input:error-reply-failed', { questionId: record.id, error: String(error) }));
+    }
+  }
+  return false;
+}
+
+// Parse a reply as JSON, then as YAML (which also covers plain "key: value" lines), falling back to the
+// raw text. Only a YAML mapping or list counts as structured; a lone scalar is just a text reply.
+function parseStructuredReply(text) {
+  const trimmed = text.trim().replace(/^```[\w-]*\n?/, '').replace(/\n?```$/, '').trim();
+  try {
+    return { format: 'json', value: JSON.parse(trimmed) };
+  } catch {
+    // not JSON
+  }
+  try {
+    const value = parseYaml(trimmed);
+    if (value && typeof value === 'object') {
+      return { format: 'yaml', value };
+    }
+  } catch {
+    // not YAML
+  }
+  return { format: 'text', value: trimmed };
+}
+
+function saveQuestions() {
+  try {
+    const cutoff = Date.now() - ANSWERED_QUESTION_RETENTION_MS;
+    for (const [id, record] of questions) {
+      // Records written before pending questions got an expiresAt are timed from when they were asked
+      const expired = record.status === 'pending'
+        ? (record.expiresAt ?? record.askedAt + PENDING_QUESTION_RETENTION_MS / 1000) * 1000 < Date.now()
+        : record.answeredAt * 1000 < cutoff;
+      if (expired) {
+        questions.delete(id);
+        inputValidators.delete(id);
+      }
+    }
+    fs.writeFileSync(QUESTIONS_PATH, JSON.stringify(Object.fromEntries(questions), null, 2));
+  } catch (error) {
+    debugLog('ask:write-error', { error: String(error) });
+  }
+}
+
+function loadQuestions() {
+  try {
+    if (!fs.existsSync(QUESTIONS_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(QUESTIONS_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      for (const [id, record] of Object.entries(parsed)) {
+        questions.set(id, record);
+      }
+      debugLog('ask:loaded', { count: questions.size });
+    }
+  } catch (error) {
+    debugLog('ask:load-error', { error: String(error) });
+  }
+}
+
+const escalationSchema = z.object({
+  id: z.string(),
+  policy: z.string(),
+  status: z.enum(['active', 'resolved', 'completed', 'cancelled']),
+  stepsFired: z.number(),
+  stepsTotal: z.number(),
+  nextAt: z.string().nullable(),
+  lastError: z.string().nullable()
+});
+
+mcpServer.registerTool(
+  'escalations',
+  {
+    title: 'Escalations',
+    description:
+      'List the escalation timers attached to questions and approval requests, or cancel them. An active escalation re-sends the ' +
+      'unanswered question at each step of its policy (higher priority, email, phone call or a fallback topic) and stops as soon as it is answered.',
+    inputSchema: z.object({
+      action: z.enum(['list', 'cancel']).optional().default('list'),
+      ids: z.array(z.string()).optional().describe('Question or approval IDs to act on (default: all active escalations)')
+    }),
+    outputSchema: z.object({
+      escalations: z.array(escalationSchema),
+      affected: z.number()
+    })
+  },
+  async ({ action = 'list', ids }) => {
+    let affected = 0;
+    if (action === 'cancel') {
+      for (const entry of escalations.values()) {
+        if (entry.status !== 'active' || (ids?.length && !ids.includes(entry.id))) continue;
+        entry.status = 'cancelled';
+        entry.nextAt = null;
+        entry.endedAt = Date.now();
+        affected += 1;
+      }
+      saveEscalations();
+      scheduleEscalations();
     }
 
+    const list = [...escalations.values()]
+      .filter((entry) => !ids?.length || ids.includes(entry.id))
+      .map(summarizeEscalation);
+    const active = list.filter((entry) => entry.status === 'active').length;
+    let text = `Escalations: ${active} active, ${list.length - active} finished`;
+    if (action === 'cancel') {
+      text = `Cancelled ${affected} escalation${affected === 1 ? '' : 's'}. ${text}`;
+    }
     return {
-      content: [
-        {
-          type: 'text',
-          text: messageText
-        }
-      ],
-      structuredContent: {
-        newCount: newMessages.length,
-        lastCursor: lastCursor || null,
-        messages: newMessages
-      }
+      content: [{ type: 'text', text }],
+      structuredContent: { escalations: list, affected }
     };
   }
 );
 
-async function publishMessage({ topic, message, title, priority, tags, attach }) {
-  if (!topic) {
-    throw new Error('No topic configured. Set a topic or pass the topic parameter.');
+// Look up the escalation ladder for a question. Throws before anything is published if the name is unknown.
+function resolveEscalationPolicy(name = config.defaultEscalation) {
+  if (!name || name === 'none') return null;
+  const steps = config.escalationPolicies[name];
+  if (!Array.isArray(steps)) {
+    throw new Error(`Unknown escalation policy "${name}". Known policies: ${Object.keys(config.escalationPolicies).join(', ')}`);
+  }
+  const valid = steps
+    .filter((step) => step && typeof step.afterMinutes === 'number' && step.afterMinutes > 0)
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+  if (valid.length === 0) {
+    throw new Error(`Escalation policy "${name}" has no steps with a positive afterMinutes`);
   }
+  return { name, steps: valid };
+}
 
-  const headers = {
-    'Content-Type': 'text/plain',
-    ...authHeaders()
+// Steps are timed from when the question was first published, not from the previous step
+function startEscalation(record, notification, policy) {
+  if (!policy) return;
+  const startedAt = Date.now();
+  escalations.set(record.id, {
+    id: record.id,
+    policy: policy.name,
+    steps: policy.steps,
+    notification,
+    startedAt,
+    nextStep: 0,
+    nextAt: startedAt + policy.steps[0].afterMinutes * 60 * 1000,
+    status: 'active'
+  });
+  saveEscalations();
+  debugLog('escalation:started', { id: record.id, policy: policy.name, steps: policy.steps.length });
+  scheduleEscalations();
+}
+
+// Fire every step that is due. A question answered (or an approval decided or expired) in the meantime
+// ends its escalation instead of being re-sent.
+async function runEscalations(now = Date.now()) {
+  for (const entry of escalations.values()) {
+    if (entry.status !== 'active' || entry.nextAt > now) continue;
+    if (isEscalationTargetSettled(entry.id)) {
+      entry.status = 'resolved';
+      entry.nextAt = null;
+      entry.endedAt = now;
+      debugLog('escalation:resolved', { id: entry.id, stepsFired: entry.nextStep });
+      continue;
+    }
+
+    // Claim the step before publishing: a run started while this one awaits must not send it again
+    const stepIndex = entry.nextStep;
+    const step = entry.steps[stepIndex];
+    entry.nextStep += 1;
+    if (entry.nextStep >= entry.steps.length) {
+      entry.status = 'completed';
+      entry.nextAt = null;
+      entry.endedAt = now;
+    } else {
+      entry.nextAt = entry.startedAt + entry.steps[entry.nextStep].afterMinutes * 60 * 1000;
+    }
+    try {
+      const result = await publishOrQueue(buildEscalationNotification(entry, step));
+      entry.lastError = result.queued ? result.error : null;
+      debugLog('escalation:fired', { id: entry.id, step: stepIndex, topic: step.topic ?? entry.notification.topic, queued: Boolean(result.queued) });
+    } catch (error) {
+      entry.lastError = String(error.message || error);
+      debugLog('escalation:publish-error', { id: entry.id, step: stepIndex, error: entry.lastError });
+    }
+  }
+  saveEscalations();
+  scheduleEscalations();
+}
+
+function isEscalationTargetSettled(id) {
+  const approval = approvals.get(id);
+  if (approval) {
+    if (approval.decision !== 'pending' || Date.now() >= approval.expiresAt * 1000) return true;
+    return matchApprovalDecision(approval, { dryRun: true });
+  }
+  const question = questions.get(id);
+  if (!question || question.status !== 'pending') return true;
+  // Only look: recording the answer and replying to bad ones is left to the waiting tool call
+  const matchers = { text: matchQuestionReply, choice: matchChoiceReply, input: matchInputReply };
+  return matchers[question.kind ?? 'text'](question, { dryRun: true });
+}
+
+// Re-send the original notification (same buttons and correlation tags) with the step's overrides.
+// Replies are still read from the configured topic, so fallback topics are told where to answer.
+function buildEscalationNotification(entry, step) {
+  const original = entry.notification;
+  const topic = step.topic || original.topic;
+  const lines = [original.message];
+  if (topic !== original.topic) {
+    lines.push('', `Reply on topic "${original.topic}".`);
+  }
+  return {
+    ...original,
+    topic,
+    baseUrl: step.baseUrl,
+    authProfile: step.authProfile,
+    title: `Reminder: ${original.title}`,
+    message: lines.join('\n'),
+    priority: step.priority ?? original.priority,
+    email: step.email,
+    call: step.call
   };
+}
 
-  if (title) headers.Title = title;
-  if (priority) headers.Priority = String(priority);
-  if (tags?.length) headers.Tags = tags.join(',');
-  if (attach) headers.Attach = attach;
+function scheduleEscalations() {
+  if (escalationTimer) {
+    clearTimeout(escalationTimer);
+    escalationTimer = null;
+  }
+  if (!escalationTimerEnabled || shuttingDown) return;
+  const active = [...escalations.values()].filter((entry) => entry.status === 'active');
+  if (active.length === 0) return;
+  const nextAt = Math.min(...active.map((entry) => entry.nextAt));
+  escalationTimer = setTimeout(() => {
+    escalationTimer = null;
+    runEscalations().catch((error) => debugLog('escalation:run-error', { error: String(error) }));
+  }, Math.max(0, nextAt - Date.now()));
+  escalationTimer.unref?.();
+}
 
-  const url = `${config.baseUrl}/${encodeURIComponent(topic)}`;
-  const response = await fetch(url, {
-    method: 'POST',
-    headers,
-    body: message,
+function summarizeEscalation(entry) {
+  return {
+    id: entry.id,
+    policy: entry.policy,
+    status: entry.status,
+    stepsFired: entry.nextStep,
+    stepsTotal: entry.steps.length,
+    nextAt: entry.nextAt ? new Date(entry.nextAt).toISOString() : null,
+    lastError: entry.lastError ?? null
+  };
+}
+
+function saveEscalations() {
+  try {
+    const cutoff = Date.now() - ANSWERED_QUESTION_RETENTION_MS;
+    for (const [id, entry] of escalations) {
+      if (entry.status !== 'active' && entry.endedAt < cutoff) {
+        escalations.delete(id);
+      }
+    }
+    fs.writeFileSync(ESCALATIONS_PATH, JSON.stringify(Object.fromEntries(escalations), null, 2));
+  } catch (error) {
+    debugLog('escalation:write-error', { error: String(error) });
+  }
+}
+
+function loadEscalations() {
+  try {
+    if (!fs.existsSync(ESCALATIONS_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(ESCALATIONS_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      for (const [id, entry] of Object.entries(parsed)) {
+        escalations.set(id, entry);
+      }
+      debugLog('escalation:loaded', { count: escalations.size });
+    }
+  } catch (error) {
+    debugLog('escalation:load-error', { error: String(error) });
+  }
+}
+
+async function publishMessage(options) {
+  if (config.agentName) {
+    options = { ...options, tags: [...(options.tags ?? []), originTag()] };
+  }
+  // The subscription can echo the message before the publish response names its ID; until then an
+  // arrival with the same topic, title and body is taken as our own
+  const fingerprint = publishFingerprint(options);
+  inFlightPublishes.set(fingerprint, (inFlightPublishes.get(fingerprint) ?? 0) + 1);
+  try {
+    return await sendPublish(options);
+  } finally {
+    const remaining = inFlightPublishes.get(fingerprint) - 1;
+    if (remaining > 0) inFlightPublishes.set(fingerprint, remaining);
+    else inFlightPublishes.delete(fingerprint);
+  }
+}
+
+function publishFingerprint(message) {
+  return JSON.stringify([message.topic ?? config.topic, message.title ?? '', message.message ?? '']);
+}
+
+async function sendPublish(options) {
+  const { topic, file } = options;
+  if (!topic) {
+    throw new Error('No topic configured. Set a topic or pass the topic parameter.');
+  }
+  const baseUrl = options.baseUrl ? normalizeBaseUrl(options.baseUrl) : config.baseUrl;
+  const auth = targetAuthHeaders(baseUrl, options.authProfile);
+
+  // JSON publishing keeps Unicode titles/tags intact; uploads need the raw PUT body, so they use headers
+  const useJson = !file && config.publishMode !== 'headers' && !jsonPublishUnsupported.has(baseUrl);
+  if (useJson) {
+    const response = await publishFetch(baseUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        // The JSON body has no cache/firebase fields; ntfy still honors the headers
+        ...deliveryHeaders(options),
+        ...auth
+      },
+      body: JSON.stringify(buildJsonPayload(options)),
+      dispatcher: fetchDispatcher
+    });
+    // Servers that predate JSON publishing don't route POST / to the publish handler
+    if (response.status === 404 || response.status === 405) {
+      jsonPublishUnsupported.add(baseUrl);
+      debugLog('publish:json-unsupported', { baseUrl, status: response.status });
+    } else {
+      return rememberPublished(await readPublishResponse(response));
+    }
+  }
+
+  // Publishing to /<topic>/<sequenceId> replaces the earlier notification with the same sequence ID
+  const sequencePath = options.sequenceId ? `/${encodeURIComponent(options.sequenceId)}` : '';
+  const response = await publishFetch(`${baseUrl}/${encodeURIComponent(topic)}${sequencePath}`, {
+    method: file ? 'PUT' : 'POST',
+    headers: { ...buildPublishHeaders(options), ...auth },
+    body: file ? file.content : options.message,
     dispatcher: fetchDispatcher
   });
+  return rememberPublished(await readPublishResponse(response));
+}
+
+// Network failures are worth retrying; the caller decides whether to queue them
+async function publishFetch(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    error.retriable = true;
+    countPublishFailure(error);
+    throw error;
+  }
+}
 
+async function readPublishResponse(response) {
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`ntfy publish failed (${response.status}): ${errorText}`);
+    const error = new Error(`ntfy publish failed (${response.status}): ${errorText}`);
+    error.status = response.status;
+    error.retriable = response.status === 429 || response.status >= 500;
+    error.retryAfterMs = parseRetryAfter(response.headers?.get?.('retry-after'));
+    countPublishFailure(error);
+    throw error;
   }
 
   try {
@@ -699,6 +3183,426 @@ async function publishMessage({ topic, message, title, priority, tags, attach })
   }
 }
 
+function countPublishFailure(error) {
+  statusCounters.publishFailed += 1;
+  if (error.status === 429) statusCounters.rateLimited += 1;
+  statusCounters.lastPublishError = String(error.message || error);
+  notifyStatusChanged();
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : 0;
+}
+
+// Publish, queueing the message in the outbox instead of failing on retriable errors
+async function publishOrQueue(options) {
+  try {
+    return await publishMessage(options);
+  } catch (error) {
+    if (!error.retriable) {
+      throw error;
+    }
+    const entry = enqueueOutbox(options, error);
+    return { queued: true, outboxId: entry.id, error: String(error.message || error) };
+  }
+}
+
+function enqueueOutbox(options, error) {
+  const { file, ...rest } = options;
+  const entry = {
+    id: crypto.randomUUID(),
+    status: 'pending',
+    options: {
+      ...rest,
+      file: file ? { content: file.content.toString('base64'), filename: file.filename, type: file.type } : undefined
+    },
+    attempts: 1,
+    lastError: String(error.message || error),
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: Date.now() + outboxBackoffMs(1, error.retryAfterMs)
+  };
+  outbox.push(entry);
+  saveOutbox();
+  statusCounters.queued += 1;
+  notifyStatusChanged();
+  debugLog('outbox:queued', { id: entry.id, topic: options.topic, error: entry.lastError });
+  scheduleOutboxFlush();
+  return entry;
+}
+
+// Exponential backoff with jitter, never sooner than the server's Retry-After
+function outboxBackoffMs(attempts, retryAfterMs = 0) {
+  const base = Math.min(OUTBOX_MAX_BACKOFF_MS, OUTBOX_BASE_BACKOFF_MS * 2 ** (attempts - 1));
+  const jittered = base / 2 + Math.random() * (base / 2);
+  return Math.max(jittered, retryAfterMs || 0);
+}
+
+// A flush that is already running picked its due entries before the caller's change (e.g. a retry),
+// so wait for it and then flush again rather than returning early
+async function flushOutbox() {
+  while (outboxFlushing) {
+    await outboxFlushing;
+  }
+  outboxFlushing = sendDueOutboxEntries();
+  try {
+    await outboxFlushing;
+  } finally {
+    outboxFlushing = null;
+    scheduleOutboxFlush();
+  }
+}
+
+async function sendDueOutboxEntries() {
+  const now = Date.now();
+  const due = outbox.filter((entry) => entry.status === 'pending' && entry.nextAttemptAt <= now);
+  for (const entry of due) {
+    if (!outbox.includes(entry)) continue; // discarded while earlier entries were sent
+    const { file, ...rest } = entry.options;
+    try {
+      await publishMessage({
+        ...rest,
+        file: file ? { ...file, content: Buffer.from(file.content, 'base64') } : undefined
+      });
+      // outbox-status may have discarded the entry while it was being sent
+      const index = outbox.indexOf(entry);
+      if (index !== -1) outbox.splice(index, 1);
+      debugLog('outbox:sent', { id: entry.id, attempts: entry.attempts + 1 });
+    } catch (error) {
+      entry.attempts += 1;
+      entry.lastError = String(error.message || error);
+      if (!error.retriable || entry.attempts >= config.outboxMaxAttempts) {
+        entry.status = 'dead';
+        entry.nextAttemptAt = null;
+        debugLog('outbox:dead', { id: entry.id, attempts: entry.attempts, error: entry.lastError });
+      } else {
+        entry.nextAttemptAt = Date.now() + outboxBackoffMs(entry.attempts, error.retryAfterMs);
+        debugLog('outbox:retry-failed', { id: entry.id, attempts: entry.attempts, error: entry.lastError });
+      }
+    }
+    saveOutbox();
+  }
+}
+
+function scheduleOutboxFlush() {
+  if (outboxTimer) {
+    clearTimeout(outboxTimer);
+    outboxTimer = null;
+  }
+  if (!outboxTimerEnabled || shuttingDown) return;
+  const pending = outbox.filter((entry) => entry.status === 'pending');
+  if (pending.length === 0) return;
+  const nextAt = Math.min(...pending.map((entry) => entry.nextAttemptAt));
+  outboxTimer = setTimeout(() => {
+    outboxTimer = null;
+    flushOutbox().catch((error) => debugLog('outbox:flush-error', { error: String(error) }));
+  }, Math.max(0, nextAt - Date.now()));
+  outboxTimer.unref?.();
+}
+
+function summarizeOutboxEntry(entry) {
+  return {
+    id: entry.id,
+    status: entry.status,
+    topic: entry.options.topic,
+    message: entry.options.message ?? null,
+    title: entry.options.title ?? null,
+    attempts: entry.attempts,
+    lastError: entry.lastError ?? null,
+    createdAt: entry.createdAt,
+    nextAttemptAt: entry.nextAttemptAt ? new Date(entry.nextAttemptAt).toISOString() : null
+  };
+}
+
+function saveOutbox() {
+  try {
+    fs.writeFileSync(OUTBOX_PATH, JSON.stringify(outbox, null, 2));
+  } catch (error) {
+    debugLog('outbox:write-error', { error: String(error) });
+  }
+}
+
+function loadOutbox() {
+  try {
+    if (!fs.existsSync(OUTBOX_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(OUTBOX_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) {
+      outbox.push(...parsed);
+      debugLog('outbox:loaded', { count: outbox.length });
+    }
+  } catch (error) {
+    debugLog('outbox:load-error', { error: String(error) });
+  }
+}
+
+// Explicit keys win; content hashing only applies when NTFY_DEDUPE_BY_CONTENT is enabled
+function idempotencyKeyFor(topic, args) {
+  if (args.idempotencyKey) {
+    return `key:${topic}:${args.idempotencyKey}`;
+  }
+  if (!config.dedupeByContent) {
+    return null;
+  }
+  const { idempotencyKey, ...content } = args;
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ topic, ...content })).digest('hex');
+  return `content:${hash}`;
+}
+
+// Return the stored result for a repeated key, otherwise run send and remember its result
+async function withIdempotency(key, send) {
+  pruneIdempotencyRecords();
+  const existing = idempotencyRecords.get(key);
+  if (existing) {
+    debugLog('idempotency:duplicate', { key });
+    return duplicateResult(existing.result);
+  }
+  // A retry that races the original call shares its outcome
+  if (idempotencyInFlight.has(key)) {
+    debugLog('idempotency:in-flight', { key });
+    return duplicateResult(await idempotencyInFlight.get(key));
+  }
+
+  const pending = send();
+  idempotencyInFlight.set(key, pending);
+  try {
+    const result = await pending;
+    idempotencyRecords.set(key, { createdAt: Date.now(), result });
+    saveIdempotencyRecords();
+    return result;
+  } finally {
+    idempotencyInFlight.delete(key);
+  }
+}
+
+function duplicateResult(result) {
+  return {
+    content: [
+      { type: 'text', text: 'Duplicate request; returning the original result without publishing again.' },
+      ...result.content
+    ],
+    structuredContent: { ...result.structuredContent, duplicate: true }
+  };
+}
+
+function pruneIdempotencyRecords() {
+  const cutoff = Date.now() - config.idempotencyWindowSeconds * 1000;
+  let pruned = false;
+  for (const [key, record] of idempotencyRecords) {
+    if (record.createdAt < cutoff) {
+      idempotencyRecords.delete(key);
+      pruned = true;
+    }
+  }
+  return pruned;
+}
+
+function saveIdempotencyRecords() {
+  try {
+    fs.writeFileSync(IDEMPOTENCY_PATH, JSON.stringify(Object.fromEntries(idempotencyRecords), null, 2));
+  } catch (error) {
+    debugLog('idempotency:write-error', { error: String(error) });
+  }
+}
+
+function loadIdempotencyRecords() {
+  try {
+    if (!fs.existsSync(IDEMPOTENCY_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(IDEMPOTENCY_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      for (const [key, record] of Object.entries(parsed)) {
+        idempotencyRecords.set(key, record);
+      }
+      if (pruneIdempotencyRecords()) {
+        saveIdempotencyRecords();
+      }
+      debugLog('idempotency:loaded', { count: idempotencyRecords.size });
+    }
+  } catch (error) {
+    debugLog('idempotency:load-error', { error: String(error) });
+  }
+}
+
+// Body for ntfy's JSON publish endpoint: https://docs.ntfy.sh/publish/#publish-as-json
+function buildJsonPayload(options) {
+  const { topic, message, title, priority, tags, attach, actions, click, icon, markdown, email, call, delay, sequenceId } = options;
+  const payload = { topic, message };
+  if (sequenceId) payload.sequence_id = sequenceId;
+  if (title) payload.title = title;
+  if (priority) payload.priority = priority;
+  if (tags?.length) payload.tags = tags;
+  if (attach) payload.attach = attach;
+  if (actions?.length) payload.actions = normalizeActions(actions);
+  if (click) payload.click = click;
+  if (icon) payload.icon = icon;
+  if (markdown) payload.markdown = true;
+  if (email) payload.email = email;
+  if (call) payload.call = call === true ? 'yes' : call;
+  if (delay) payload.delay = delay;
+  return payload;
+}
+
+function buildPublishHeaders(options) {
+  const { message, title, priority, tags, attach, actions, file, click, icon, markdown, email, call, delay } = options;
+  const headers = {
+    'Content-Type': file ? file.type : 'text/plain',
+    ...deliveryHeaders(options)
+  };
+
+  if (title) headers.Title = encodeHeaderValue(title);
+  if (priority) headers.Priority = String(priority);
+  if (tags?.length) headers.Tags = encodeHeaderValue(tags.join(','));
+  if (attach) headers.Attach = attach;
+  if (actions?.length) headers.Actions = formatActionsHeader(actions);
+  if (click) headers.Click = click;
+  if (icon) headers.Icon = icon;
+  if (markdown) headers.Markdown = 'yes';
+  if (email) headers.Email = email;
+  if (call) headers.Call = call === true ? 'yes' : call;
+  if (delay) headers.Delay = encodeHeaderValue(delay);
+
+  // File uploads are sent as the PUT body, so the message text moves into a header
+  if (file) {
+    headers.Filename = encodeHeaderValue(file.filename);
+    if (message) headers.Message = encodeHeaderValue(message.replace(/\r?\n/g, '\\n'));
+  }
+  return headers;
+}
+
+function deliveryHeaders({ cache, firebase }) {
+  const headers = {};
+  if (cache === false) headers.Cache = 'no';
+  if (firebase === false) headers.Firebase = 'no';
+  return headers;
+}
+
+function toUnixSeconds(value) {
+  return typeof value === 'number' ? value : Math.floor(Date.parse(value) / 1000);
+}
+
+// Read a local file or decode base64 content into an upload for publishMessage
+function loadAttachment({ path: filePath, base64, filename }) {
+  let content;
+  let name = filename;
+  if (filePath) {
+    const resolved = path.resolve(filePath);
+    let stats;
+    try {
+      stats = fs.statSync(resolved);
+    } catch (error) {
+      throw new Error(`Attachment file not readable: ${resolved} (${error.code || error.message})`);
+    }
+    if (!stats.isFile()) {
+      throw new Error(`Attachment path is not a file: ${resolved}`);
+    }
+    if (stats.size > config.maxAttachmentBytes) {
+      throw new Error(`Attachment is ${stats.size} bytes, exceeding the ${config.maxAttachmentBytes} byte limit`);
+    }
+    content = fs.readFileSync(resolved);
+    name = name || path.basename(resolved);
+  } else {
+    content = decodeBase64(base64);
+    if (content.length === 0) {
+      throw new Error('attachBase64 did not decode to any content');
+    }
+  }
+  if (content.length > config.maxAttachmentBytes) {
+    throw new Error(`Attachment is ${content.length} bytes, exceeding the ${config.maxAttachmentBytes} byte limit`);
+  }
+
+  const sniffed = sniffMimeType(content);
+  if (!name) {
+    name = `attachment${sniffed.extension}`;
+  }
+  debugLog('attachment:loaded', { name, type: sniffed.type, size: content.length });
+  return { content, filename: name, type: sniffed.type };
+}
+
+// Buffer.from silently skips characters outside the alphabet, so check that the input re-encodes to
+// itself (ignoring whitespace and padding) instead of uploading garbage. Accepts the URL-safe alphabet too.
+function decodeBase64(value) {
+  const compact = value.replace(/\s+/g, '');
+  const digits = compact.replace(/={1,2}$/, '');
+  const encoding = /[-_]/.test(digits) ? 'base64url' : 'base64';
+  const content = Buffer.from(compact, encoding);
+  if (!/^[A-Za-z0-9+/_-]*$/.test(digits) || content.toString(encoding).replace(/=+$/, '') !== digits) {
+    throw new Error('attachBase64 is not valid base64');
+  }
+  return content;
+}
+
+// Identify common file types from their magic bytes; fall back to text or binary
+function sniffMimeType(buffer) {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { type: 'image/png', extension: '.png' };
+  if (startsWith([0xff, 0xd8, 0xff])) return { type: 'image/jpeg', extension: '.jpg' };
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) return { type: 'image/gif', extension: '.gif' };
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) {
+    return { type: 'image/webp', extension: '.webp' };
+  }
+  if (startsWith([0x25, 0x50, 0x44, 0x46, 0x2d])) return { type: 'application/pdf', extension: '.pdf' };
+  if (startsWith([0x50, 0x4b, 0x03, 0x04])) return { type: 'application/zip', extension: '.zip' };
+  if (startsWith([0x1f, 0x8b])) return { type: 'application/gzip', extension: '.gz' };
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    if (!text.includes('\u0000')) {
+      return { type: 'text/plain; charset=utf-8', extension: '.txt' };
+    }
+  } catch {
+    // Not valid UTF-8; treat as binary
+  }
+  return { type: 'application/octet-stream', extension: '.bin' };
+}
+
+// Header values must be Latin-1; ntfy decodes RFC 2047 encoded words for anything else
+function encodeHeaderValue(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function normalizeActions(actions) {
+  if (actions.length > MAX_ACTIONS) {
+    throw new Error(`ntfy supports at most ${MAX_ACTIONS} actions per message`);
+  }
+  return actions.map((action) => {
+    const entry = { action: action.action, label: action.label };
+    if (action.url !== undefined) entry.url = action.url;
+    if (action.method !== undefined) entry.method = action.method;
+    if (action.headers !== undefined) entry.headers = action.headers;
+    if (action.body !== undefined) entry.body = action.body;
+    if (action.intent !== undefined) entry.intent = action.intent;
+    if (action.extras !== undefined) entry.extras = action.extras;
+    if (action.clear !== undefined) entry.clear = action.clear;
+    return entry;
+  });
+}
+
+// ntfy accepts a JSON array in the Actions header. Escape non-ASCII characters so
+// labels and bodies survive being sent as an HTTP header value.
+function formatActionsHeader(actions) {
+  return JSON.stringify(normalizeActions(actions)).replace(
+    /[\u007f-\uffff]/g,
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+  );
+}
+
 // This function opens a long-polling HTTP connection to ntfy that STREAMS messages automatically.
 // When holdOpen=true, it's a subscription: the connection stays open and messages stream in as they arrive.
 // It's not a "fetch" in the traditional sense - it's a persistent streaming connection.
@@ -718,9 +3622,8 @@ async function hydrateFromServer(options = {}) {
   }
 
   const params = new URLSearchParams();
-  // For subscriptions (holdOpen=true), don't use poll=1 or since - just connect and stay open
-  // poll=1 causes the connection to close after reading messages
-  // since is only for fetching cached messages, not for keeping connection open
+  // For subscriptions (holdOpen=true), don't use poll=1 - it closes the connection after reading messages.
+  // A subscription resumes from the last message we saw (since=<id>) so a reconnect misses nothing.
   // For one-time fetches, use lastCursor or config.since to get cached messages
   let sinceParam = null;
   if (!holdOpen) {
@@ -728,10 +3631,14 @@ async function hydrateFromServer(options = {}) {
     const baseSince = lastCursor && lastCursor !== config.since ? lastCursor : config.since;
     sinceParam = baseSince === '0s' ? '1h' : (baseSince || '1h');
     params.set('since', sinceParam);
+  } else if (hasResumableCursor()) {
+    sinceParam = lastCursor;
+    params.set('since', sinceParam);
   }
-  // For subscriptions (holdOpen=true), don't add any params - just GET /topic/json
-  const url = `${config.baseUrl}/${encodeURIComponent(config.topic)}/json${params.toString() ? '?' + params.toString() : ''}`;
-  debugLog('hydrate:params', { holdOpen, sinceParam: sinceParam || 'none (subscription)', lastCursor, url });
+  // One-time fetches always poll /json; only the held-open subscription uses the configured transport
+  const transport = holdOpen ? config.transport : 'json';
+  const url = `${config.baseUrl}/${subscriptionTopicPath()}/${transport}${params.toString() ? '?' + params.toString() : ''}`;
+  debugLog('hydrate:params', { holdOpen, transport, sinceParam: sinceParam || 'none (subscription)', lastCursor, url });
 
   const controller = new AbortController();
   let externalAbortCleanup = null;
@@ -748,21 +3655,40 @@ async function hydrateFromServer(options = {}) {
     Number.isFinite(config.fetchTimeoutMs) && config.fetchTimeoutMs > 0
       ? config.fetchTimeoutMs
       : DEFAULT_FETCH_TIMEOUT_MS;
-  // For subscriptions (holdOpen=true), no idle timeout - keep connection open indefinitely for real-time delivery
+  // For subscriptions (holdOpen=true), ntfy sends a keepalive every keepaliveIntervalSeconds; if nothing at all
+  // arrives for several intervals the connection is half-open, so abort it and let the supervisor reconnect.
   // For one-time fetches, use a reasonable timeout to prevent hanging
+  const staleAfterMs = config.keepaliveIntervalSeconds * config.keepaliveStaleFactor * 1000;
+  let stale = false;
   let idleTimer = null;
   const resetIdleTimer = () => {
     if (idleTimer) clearTimeout(idleTimer);
     if (!holdOpen) {
-      // Only use idle timeout for one-time fetches, not subscriptions
       const abortAfterIdle = Math.max(configuredTimeout, HYDRATE_IDLE_EXIT_MS);
       if (abortAfterIdle > 0) {
         idleTimer = setTimeout(() => controller.abort(), abortAfterIdle);
       }
+    } else if (staleAfterMs > 0) {
+      idleTimer = setTimeout(() => {
+        stale = true;
+        controller.abort();
+      }, staleAfterMs);
     }
   };
 
+  const markConnected = () => {
+    if (!holdOpen) return;
+    subscriptionHealth.connectedSince = new Date().toISOString();
+    saveSubscriptionState();
+  };
+
   try {
+    if (transport === 'ws') {
+      resetIdleTimer();
+      await streamWebSocket(url, controller.signal, { onOpen: markConnected, onActivity: resetIdleTimer });
+      return;
+    }
+
     // For subscriptions, configure fetch to not timeout
     const fetchOptions = {
       headers: authHeaders(),
@@ -772,8 +3698,9 @@ async function hydrateFromServer(options = {}) {
     
     // For long-polling subscriptions, disable timeouts
     if (holdOpen) {
-      // No timeout for subscriptions - keep connection alive indefinitely
+      // No fetch timeout for subscriptions - the keepalive watchdog covers a server that never answers
       fetchOptions.keepalive = true;
+      resetIdleTimer();
     }
     
     const response = await fetch(url, fetchOptions);
@@ -784,6 +3711,7 @@ async function hydrateFromServer(options = {}) {
       debugLog('hydrate:error', { status: response.status, statusText: response.statusText });
       throw new Error(`Failed to fetch recent ntfy messages: ${response.statusText}`);
     }
+    markConnected();
 
     const reader = response.body?.getReader();
     if (!reader) {
@@ -791,6 +3719,7 @@ async function hydrateFromServer(options = {}) {
     }
 
     resetIdleTimer();
+    const parse = transport === 'sse' ? createSseParser() : parseLines;
     let buffer = '';
     let messageCount = 0;
     while (true) {
@@ -811,19 +3740,7 @@ async function hydrateFromServer(options = {}) {
         buffer += textDecoder.decode(value, { stream: true });
         const lines = buffer.split('\n');
         buffer = lines.pop() || '';
-        const linesBefore = messageCount;
-        parseLines(lines);
-        // Count how many messages were actually parsed
-        const newMessages = lines.filter(line => {
-          const trimmed = line.trim();
-          if (!trimmed) return false;
-          try {
-            JSON.parse(trimmed);
-            return true;
-          } catch {
-            return false;
-          }
-        }).length;
+        const newMessages = parse(lines);
         messageCount += newMessages;
         if (holdOpen && newMessages > 0) {
           debugLog('hydrate:message-received', { count: newMessages, topic: config.topic });
@@ -832,10 +3749,18 @@ async function hydrateFromServer(options = {}) {
       resetIdleTimer();
     }
   } catch (error) {
+    if (stale) {
+      debugLog('hydrate:stale', { topic: config.topic, staleAfterMs });
+      throw new Error(`Subscription stale: no keepalive for ${staleAfterMs / 1000}s`);
+    }
     if (error.name === 'AbortError') {
       // idle timeout; treat as a soft success so the poller can continue
       return;
     }
+    // The subscription loop records the failure and reconnects with backoff
+    if (holdOpen) {
+      throw error;
+    }
     // Network/TLS errors surface as TypeError: fetch failed
     log('warning', { message: 'ntfy hydrate failed', error: String(error) });
     return;
@@ -849,18 +3774,91 @@ async function hydrateFromServer(options = {}) {
   }
 }
 
+// Keep the subscription connected until it is stopped: every time the stream ends or fails, wait with
+// exponential backoff and jitter, then reconnect from lastCursor. Each attempt is recorded in the state file.
+async function superviseSubscription(signal) {
+  while (!signal.aborted && !shuttingDown) {
+    const connectedAt = Date.now();
+    let outcome = 'closed';
+    let failure = null;
+    try {
+      await hydrateFromServer({ signal, holdOpen: true });
+      hydrateBackoffUntil = 0;
+    } catch (error) {
+      outcome = 'error';
+      failure = String(error.message || error);
+      subscriptionHealth.lastError = failure;
+      subscriptionHealth.lastErrorAt = new Date().toISOString();
+    }
+    // A stopped loop leaves the health fields to stopSubscription and whichever subscription replaces it
+    if (signal.aborted || shuttingDown) return;
+    subscriptionHealth.connectedSince = null;
+
+    // A connection that stayed up for a while was healthy, so its end starts a fresh backoff sequence
+    if (outcome === 'error' || Date.now() - connectedAt < RECONNECT_STABLE_MS) {
+      subscriptionReconnects.consecutiveFailures += 1;
+    } else {
+      subscriptionReconnects.consecutiveFailures = 1;
+    }
+    const delayMs = Math.max(reconnectBackoffMs(subscriptionReconnects.consecutiveFailures), hydrateBackoffUntil - Date.now());
+    subscriptionReconnects.total += 1;
+    subscriptionReconnects.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    subscriptionReconnects.recent = [
+      ...subscriptionReconnects.recent,
+      { at: new Date().toISOString(), outcome, error: failure, connectedMs: Date.now() - connectedAt, retryInMs: Math.round(delayMs), cursor: lastCursor || null }
+    ].slice(-RECONNECT_HISTORY_SIZE);
+    debugLog('subscribe:reconnecting', { topic: config.topic, outcome, error: failure, delayMs: Math.round(delayMs), lastCursor });
+    saveSubscriptionState();
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(done, delayMs);
+      signal.addEventListener('abort', done, { once: true });
+      function done() {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', done);
+        resolve();
+      }
+    });
+    subscriptionReconnects.nextAttemptAt = null;
+  }
+}
+
+function reconnectBackoffMs(failures) {
+  const base = Math.min(config.reconnectMaxMs, config.reconnectBaseMs * 2 ** (failures - 1));
+  return base / 2 + Math.random() * (base / 2);
+}
+
+// A message ID (or a Unix time once messages have been seen) can be resumed from; durations like "1h" cannot
+function hasResumableCursor() {
+  if (!lastCursor || lastCursor === config.since || lastCursor === '0s' || /^\d+[smhd]$/.test(lastCursor)) {
+    return false;
+  }
+  return !(/^\d+$/.test(lastCursor) && recentMessages.length === 0);
+}
+
 function saveSubscriptionState() {
   try {
     const state = {
       subscriptionId: subscriptionId || null,
       topic: config.topic || null,
+      topics: subscriptionTopics(),
+      transport: config.transport,
       status: subscriptionTask && subscriptionId ? 'running' : 'stopped',
       hasTask: subscriptionTask !== null,
       startTime: subscriptionStartTime || null,
+      lastCursor: lastCursor || null,
+      health: { ...subscriptionHealth },
+      reconnects: {
+        total: subscriptionReconnects.total,
+        consecutiveFailures: subscriptionReconnects.consecutiveFailures,
+        nextAttemptAt: subscriptionReconnects.nextAttemptAt,
+        recent: subscriptionReconnects.recent
+      },
       lastUpdate: new Date().toISOString()
     };
     fs.writeFileSync(SUBSCRIPTION_STATE_PATH, JSON.stringify(state, null, 2));
     debugLog('subscription:state-saved', state);
+    notifyStatusChanged();
   } catch (error) {
     debugLog('subscription:state-save-error', { error: String(error) });
   }
@@ -909,15 +3907,15 @@ function ensureSubscription() {
     try {
       // The long-poll connection streams messages automatically
       // Connection is configured to not timeout - it stays open indefinitely
-      // If it closes, we don't retry - just stop
+      // If it closes or fails, superviseSubscription reconnects with backoff
       debugLog('subscribe:starting', { topic: config.topic, subscriptionId: currentSubscriptionId, lastCursor });
       
       // If we don't have a valid message ID cursor, fetch the latest message ID first
-      if (!lastCursor || lastCursor === config.since || lastCursor === '0s' || lastCursor.match(/^\d+[smhd]$/) || (lastCursor.match(/^\d+$/) && recentMessages.length === 0)) {
+      if (!hasResumableCursor()) {
         // No valid cursor - fetch latest message to get an ID
         debugLog('subscribe:fetching-latest-id', { topic: config.topic });
         try {
-          const quickUrl = `${config.baseUrl}/${encodeURIComponent(config.topic)}/json?since=1h&limit=1`;
+          const quickUrl = `${config.baseUrl}/${subscriptionTopicPath()}/json?since=1h&limit=1`;
           const quickResponse = await fetch(quickUrl, {
             headers: authHeaders(),
             dispatcher: fetchDispatcher,
@@ -953,9 +3951,8 @@ function ensureSubscription() {
         }
       }
       
-      await hydrateFromServer({ signal: controller.signal, holdOpen: true });
-      hydrateBackoffUntil = 0;
-      debugLog('subscribe:ended', { topic: config.topic, reason: 'connection closed normally' });
+      await superviseSubscription(controller.signal);
+      debugLog('subscribe:ended', { topic: config.topic, reason: 'stopped' });
     } catch (error) {
       if (error.name === 'AbortError' || shuttingDown) {
         // Intentionally aborted or shutting down - don't log
@@ -963,7 +3960,6 @@ function ensureSubscription() {
         return;
       }
       debugLog('subscribe:error', { error: String(error), stack: error.stack });
-      // Connection closed - don't retry, just stop
     } finally {
       // Clean up when subscription stops
       // Only clean up if this is still the current subscription (not replaced by a new one)
@@ -991,38 +3987,108 @@ function stopSubscription() {
     pollAbortController.abort();
     pollAbortController = null;
   }
-  if (subscriptionTask) {
-    // Wait a bit for the task to clean up, but don't block forever
-    subscriptionTask.catch(() => {}).finally(() => {
-      subscriptionTask = null;
-      subscriptionId = null;
-      subscriptionStartTime = null;
-      saveSubscriptionState(); // Update state when subscription is stopped
-    });
-  } else {
-    // No task, but still update state
-    subscriptionId = null;
-    subscriptionStartTime = null;
-    saveSubscriptionState();
-  }
+  // Forget the stopped task right away so ensureSubscription can start a fresh one;
+  // the task's own cleanup sees that subscriptionId has moved on and leaves the state alone
+  subscriptionTask = null;
+  subscriptionId = null;
+  subscriptionStartTime = null;
+  subscriptionHealth.connectedSince = null;
+  saveSubscriptionState();
 }
 
+// Feeds each JSON line to handleIncoming; returns how many lines parsed
 function parseLines(lines) {
+  let parsedCount = 0;
   for (const line of lines) {
     const trimmed = line.trim();
     if (!trimmed) continue;
     try {
       const parsed = JSON.parse(trimmed);
+      parsedCount += 1;
       handleIncoming(parsed);
     } catch (error) {
       log('debug', { message: 'Failed to parse ntfy line', line, error: String(error) });
     }
   }
+  return parsedCount;
+}
+
+// Server-sent events: data: lines accumulate until a blank line ends the event. ntfy puts the same JSON
+// object it sends on /json (including its event type) in the data field, so events go through parseLines.
+function createSseParser() {
+  let data = [];
+  return (lines) => {
+    let parsedCount = 0;
+    for (const line of lines) {
+      const trimmed = line.replace(/\r$/, '');
+      if (trimmed === '') {
+        if (data.length > 0) parsedCount += parseLines([data.join('\n')]);
+        data = [];
+      } else if (trimmed.startsWith('data:')) {
+        data.push(trimmed.slice(5).replace(/^ /, ''));
+      }
+      // event:, id:, retry: and :comment lines carry nothing the JSON payload doesn't
+    }
+    return parsedCount;
+  };
+}
+
+// ntfy's /ws endpoint sends one JSON message per frame. Resolves when the server closes the socket and
+// rejects if it never opens or the signal aborts, mirroring how the fetch-based transports end. An abort
+// settles right away: a half-open socket would never complete the closing handshake.
+function streamWebSocket(url, signal, { onOpen, onActivity }) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const socket = new WebSocket(url, { headers: authHeaders(), dispatcher: fetchDispatcher });
+    let opened = false;
+    let failure = null;
+    const abort = () => {
+      socket.close();
+      reject(signal.reason);
+    };
+    signal.addEventListener('abort', abort, { once: true });
+    socket.addEventListener('open', () => {
+      opened = true;
+      onOpen();
+    });
+    socket.addEventListener('message', (event) => {
+      onActivity();
+      const count = parseLines(String(event.data).split('\n'));
+      if (count > 0) debugLog('hydrate:message-received', { count, topic: config.topic, transport: 'ws' });
+    });
+    socket.addEventListener('error', (event) => {
+      failure = event.error || new Error('WebSocket error');
+    });
+    socket.addEventListener('close', (event) => {
+      signal.removeEventListener('abort', abort);
+      if (signal.aborted) return;
+      if (!opened || failure) {
+        reject(new Error(`WebSocket subscription failed: ${failure?.message || `closed with code ${event.code}`}`));
+      } else {
+        debugLog('hydrate:connection-closed', { reason: `websocket closed (${event.code})`, topic: config.topic, lastCursor });
+        resolve();
+      }
+    });
+  });
 }
 
 function handleIncoming(message) {
   if (!message || typeof message !== 'object') return;
+  if (message.event === 'open' || message.event === 'keepalive') {
+    subscriptionHealth.lastKeepaliveAt = new Date().toISOString();
+    saveSubscriptionState();
+    return;
+  }
   if (message.event && message.event !== 'message') return;
+  if (!subscribeFilterMatches(message)) {
+    debugLog('incoming:filtered', { id: message.id });
+    statusCounters.filtered += 1;
+    notifyStatusChanged();
+    return;
+  }
 
   if (message.id) {
     lastCursor = message.id;
@@ -1030,15 +4096,29 @@ function handleIncoming(message) {
     lastCursor = String(message.time);
   }
 
-  recentMessages.unshift({
+  // A resumed subscription (since=<lastCursor>) or a backlog fetch can replay messages we already have
+  if (message.id && (historyIds.has(message.id) || recentMessages.some((msg) => msg.id === message.id))) {
+    debugLog('incoming:duplicate', { id: message.id });
+    statusCounters.duplicates += 1;
+    notifyStatusChanged();
+    return;
+  }
+
+  subscriptionHealth.lastMessageAt = new Date().toISOString();
+  statusCounters.received += 1;
+  const entry = {
     id: message.id,
     time: message.time,
     title: message.title,
     message: message.message,
     priority: message.priority,
     tags: message.tags,
-    topic: message.topic
-  });
+    topic: message.topic || config.topic,
+    sequenceId: message.sequence_id,
+    origin: classifyOrigin(message)
+  };
+  recentMessages.unshift(entry);
+  appendHistory(entry);
   debugLog('incoming', { id: message.id, time: message.time, message: message.message });
 
   if (recentMessages.length > 50) {
@@ -1055,10 +4135,11 @@ function handleIncoming(message) {
   if (mcpServer.isConnected()) {
     mcpServer.server.sendResourceUpdated({ uri: inboxUri }).catch(() => {});
   }
+  notifyStatusChanged();
 }
 
-function waitForNewMessages(baselineVersion, timeoutMs) {
-  if (messageVersion > baselineVersion) {
+function waitForNewMessages(baselineVersion, timeoutMs, signal) {
+  if (messageVersion > baselineVersion || signal?.aborted) {
     return Promise.resolve();
   }
   return new Promise((resolve) => {
@@ -1066,6 +4147,10 @@ function waitForNewMessages(baselineVersion, timeoutMs) {
       cleanup();
       resolve();
     }, timeoutMs);
+    const onAbort = () => {
+      cleanup();
+      resolve();
+    };
 
     const waiter = () => {
       if (messageVersion > baselineVersion) {
@@ -1077,9 +4162,11 @@ function waitForNewMessages(baselineVersion, timeoutMs) {
     const cleanup = () => {
       clearTimeout(timeout);
       messageWaiters.delete(waiter);
+      signal?.removeEventListener('abort', onAbort);
     };
 
     messageWaiters.add(waiter);
+    signal?.addEventListener('abort', onAbort);
   });
 }
 
@@ -1089,53 +4176,6 @@ function notifyWaiters() {
   }
 }
 
-// Read messages from the file cache (same format as the resource)
-function messagesFromCache(cursor, sinceTime) {
-  let cachedMessages = [];
-  try {
-    if (fs.existsSync(MESSAGE_CACHE_PATH)) {
-      const raw = fs.readFileSync(MESSAGE_CACHE_PATH, 'utf8');
-      if (raw.trim()) {
-        const parsed = JSON.parse(raw);
-        if (Array.isArray(parsed)) {
-          cachedMessages = parsed;
-        }
-      }
-    }
-  } catch (error) {
-    debugLog('cache:read-error', { error: String(error) });
-    return [];
-  }
-
-  let messages;
-  if (!cursor) {
-    messages = [...cachedMessages];
-  } else {
-    const stopIndex = cachedMessages.findIndex((message) => cursorForMessage(message) === cursor);
-    if (stopIndex === -1) {
-      messages = [...cachedMessages];
-    } else {
-      messages = cachedMessages.slice(0, stopIndex);
-    }
-  }
-  
-  // Filter by timestamp if provided (only messages with time >= sinceTime)
-  if (sinceTime !== undefined && sinceTime !== null) {
-    messages = messages.filter(msg => msg.time && msg.time >= sinceTime);
-  }
-  
-  // Normalize messages to ensure all schema-required fields are present (null if missing)
-  return messages.map(msg => ({
-    id: msg.id ?? null,
-    time: msg.time ?? null,
-    title: msg.title ?? null,
-    message: msg.message ?? null,
-    priority: msg.priority ?? null,
-    tags: msg.tags ?? null,
-    topic: msg.topic ?? null
-  }));
-}
-
 function messagesSinceCursor(cursor, sinceTime) {
   let messages;
   if (!cursor) {
@@ -1162,10 +4202,291 @@ function messagesSinceCursor(cursor, sinceTime) {
     message: msg.message ?? null,
     priority: msg.priority ?? null,
     tags: msg.tags ?? null,
-    topic: msg.topic ?? null
+    topic: msg.topic ?? null,
+    origin: msg.origin ?? classifyOrigin(msg),
+    acknowledged: acknowledgedIds.has(msg.id)
   }));
 }
 
+// "self" when this server published the message (by recorded ID or our own origin tag), "other-agent"
+// when it carries another agent's origin tag, otherwise "human"
+function classifyOrigin(message) {
+  if (
+    (message.id && publishedIds.has(message.id)) ||
+    (config.agentName && message.tags?.includes(originTag())) ||
+    inFlightPublishes.has(publishFingerprint(message))
+  ) {
+    return 'self';
+  }
+  const isAgentTag = (tag) =>
+    typeof tag === 'string' && tag.startsWith(ORIGIN_TAG_PREFIX) && AGENT_NAME_PATTERN.test(tag.slice(ORIGIN_TAG_PREFIX.length));
+  if (message.tags?.some(isAgentTag)) {
+    return 'other-agent';
+  }
+  return 'human';
+}
+
+function originTag() {
+  return `${ORIGIN_TAG_PREFIX}${config.agentName}`;
+}
+
+// Build a predicate for the per-message conditions of a filter; afterId/untilId are applied by filterMessages
+function compileMessageFilter(filter) {
+  const parsed = messageFilterSchema.safeParse(filter);
+  if (!parsed.success) {
+    throw new Error(`Invalid message filter: ${formatZodIssues(parsed.error)}`);
+  }
+  const { tags, tagMatch, minPriority, origin, topics } = parsed.data;
+  const pattern = (field) => {
+    if (parsed.data[field] === undefined) return null;
+    if (hasAmbiguousRepetition(parsed.data[field])) {
+      throw new Error(`Invalid ${field} pattern: repeated groups containing a quantifier or alternation, like (a+)+ or (a|b)+, are not allowed`);
+    }
+    try {
+      return new RegExp(parsed.data[field], 'i');
+    } catch (error) {
+      throw new Error(`Invalid ${field} pattern: ${error.message}`);
+    }
+  };
+  const title = pattern('title');
+  const message = pattern('message');
+  return (msg) => {
+    if (tags?.length) {
+      const has = (tag) => msg.tags?.includes(tag);
+      if (tagMatch === 'all' ? !tags.every(has) : !tags.some(has)) return false;
+    }
+    if (minPriority && (msg.priority ?? 3) < minPriority) return false;
+    if (title && !title.test(msg.title ?? '')) return false;
+    if (message && !message.test(msg.message ?? '')) return false;
+    if (origin?.length && !origin.includes(msg.origin ?? classifyOrigin(msg))) return false;
+    if (topics?.length && !topics.includes(msg.topic ?? config.topic)) return false;
+    return true;
+  };
+}
+
+// True when a group repeated with *, + or {n,} contains (at any depth) a quantifier or an alternation.
+// Those are the shapes, like (a+)+ and (a|a)+, that can backtrack exponentially on a non-matching message.
+function hasAmbiguousRepetition(pattern) {
+  const isRepeat = (index) => pattern[index] === '*' || pattern[index] === '+' || /^\{\d*,/.test(pattern.slice(index));
+  const groups = []; // per open group: does it contain a quantifier or alternation?
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const ambiguous = groups.pop();
+      const repeated = isRepeat(i + 1);
+      if (ambiguous && repeated) return true;
+      if (groups.length && (ambiguous || repeated)) groups[groups.length - 1] = true;
+    } else if (groups.length && (char === '|' || isRepeat(i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// messages are newest first, like recentMessages. An ID that is no longer cached leaves that end of the range open.
+function filterMessages(messages, filter, matches = compileMessageFilter(filter)) {
+  const position = (id) => (id ? recentMessages.findIndex((msg) => msg.id === id) : -1);
+  const after = position(filter.afterId);
+  const until = position(filter.untilId);
+  return messages.filter((msg) => {
+    const index = position(msg.id);
+    if (after !== -1 && (index === -1 || index >= after)) return false;
+    if (until !== -1 && (index === -1 || index < until)) return false;
+    return matches(msg);
+  });
+}
+
+// NTFY_SUBSCRIBE_FILTER is applied on arrival rather than pushed down to ntfy as query parameters:
+// replies and approval-button posts come at default priority with their own tags, and ntfy has no way
+// to let them through a priority or tag filter. The compiled filter is cached until config.subscribeFilter changes.
+let compiledSubscribeFilter = null;
+function subscribeFilterMatches(message) {
+  if (!config.subscribeFilter || isCorrelatedReply(message)) return true;
+  if (compiledSubscribeFilter?.source !== config.subscribeFilter) {
+    let matches;
+    try {
+      matches = compileMessageFilter(config.subscribeFilter);
+    } catch (error) {
+      debugLog('filter:subscribe-filter-invalid', { error: String(error.message || error) });
+      matches = () => true;
+    }
+    compiledSubscribeFilter = { source: config.subscribeFilter, matches };
+  }
+  return compiledSubscribeFilter.matches(message);
+}
+
+// A reply to an open question or approval: tagged with (or quoting) its ID, or a signed decision
+function isCorrelatedReply(message) {
+  const text = typeof message.message === 'string' ? message.message : '';
+  if (APPROVAL_TOKEN.test(text.trim())) return true;
+  const open = [
+    ...[...questions.values()].filter((record) => record.status === 'pending'),
+    ...[...approvals.values()].filter((record) => record.decision === 'pending')
+  ];
+  return open.some((record) => message.tags?.includes(`re-${record.id}`) || text.includes(record.id));
+}
+
+// The subscription can deliver our own message before the publish response arrives,
+// so a late-recorded ID also corrects messages already in the cache
+function rememberPublished(result) {
+  statusCounters.published += 1;
+  notifyStatusChanged();
+  if (!result?.id) return result;
+  publishedIds.set(result.id, Math.floor(Date.now() / 1000));
+  savePublishedIds();
+  const echoed = recentMessages.filter((msg) => msg.id === result.id && msg.origin !== 'self');
+  if (echoed.length > 0) {
+    for (const msg of echoed) msg.origin = 'self';
+    persistMessages();
+  }
+  return result;
+}
+
+function appendHistory(entry) {
+  if (!entry.id || historyIds.has(entry.id)) return;
+  messageHistory.push(entry);
+  historyIds.add(entry.id);
+  // Let the file grow to twice the limit before rewriting it, so most arrivals are a single append
+  const limit = historyLimit();
+  if (messageHistory.length > limit * 2) {
+    for (const dropped of messageHistory.splice(0, messageHistory.length - limit)) {
+      historyIds.delete(dropped.id);
+    }
+    saveHistory();
+    return;
+  }
+  try {
+    fs.appendFileSync(HISTORY_PATH, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    debugLog('history:write-error', { error: String(error) });
+  }
+}
+
+// A missing, zero or non-numeric NTFY_HISTORY_LIMIT would let the history grow without bound
+function historyLimit() {
+  const limit = Math.floor(config.historyLimit);
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+function saveHistory() {
+  try {
+    fs.writeFileSync(HISTORY_PATH, messageHistory.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+  } catch (error) {
+    debugLog('history:write-error', { error: String(error) });
+  }
+}
+
+function loadHistory() {
+  try {
+    if (!fs.existsSync(HISTORY_PATH)) {
+      return;
+    }
+    for (const line of fs.readFileSync(HISTORY_PATH, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry?.id && !historyIds.has(entry.id)) {
+          messageHistory.push(entry);
+          historyIds.add(entry.id);
+        }
+      } catch {
+        // Skip a line torn by a crash mid-append
+      }
+    }
+    for (const dropped of messageHistory.splice(0, Math.max(0, messageHistory.length - historyLimit()))) {
+      historyIds.delete(dropped.id);
+    }
+    debugLog('history:loaded', { count: messageHistory.length });
+  } catch (error) {
+    debugLog('history:load-error', { error: String(error) });
+  }
+}
+
+// The server's own messages never need handling, so they don't count as unread
+function countUnread(messages = recentMessages) {
+  return messages.filter((msg) => !acknowledgedIds.has(msg.id) && (msg.origin ?? classifyOrigin(msg)) !== 'self').length;
+}
+
+function saveAcknowledgedIds() {
+  try {
+    const cutoff = (Date.now() - ACK_RETENTION_MS) / 1000;
+    const cached = new Set(recentMessages.map((msg) => msg.id));
+    for (const [id, ackedAt] of acknowledgedIds) {
+      if (!cached.has(id) && ackedAt < cutoff) {
+        acknowledgedIds.delete(id);
+      }
+    }
+    fs.writeFileSync(ACKS_PATH, JSON.stringify(Object.fromEntries(acknowledgedIds), null, 2));
+  } catch (error) {
+    debugLog('acks:write-error', { error: String(error) });
+  }
+}
+
+function loadAcknowledgedIds() {
+  try {
+    if (!fs.existsSync(ACKS_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(ACKS_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      for (const [id, ackedAt] of Object.entries(parsed)) {
+        acknowledgedIds.set(id, ackedAt);
+      }
+      debugLog('acks:loaded', { count: acknowledgedIds.size });
+    }
+  } catch (error) {
+    debugLog('acks:load-error', { error: String(error) });
+  }
+}
+
+function savePublishedIds() {
+  try {
+    const cutoff = (Date.now() - PUBLISHED_ID_RETENTION_MS) / 1000;
+    for (const [id, time] of publishedIds) {
+      if (time < cutoff) {
+        publishedIds.delete(id);
+      }
+    }
+    fs.writeFileSync(PUBLISHED_PATH, JSON.stringify(Object.fromEntries(publishedIds), null, 2));
+  } catch (error) {
+    debugLog('published:write-error', { error: String(error) });
+  }
+}
+
+function loadPublishedIds() {
+  try {
+    if (!fs.existsSync(PUBLISHED_PATH)) {
+      return;
+    }
+    const raw = fs.readFileSync(PUBLISHED_PATH, 'utf8');
+    if (!raw.trim()) {
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      for (const [id, time] of Object.entries(parsed)) {
+        publishedIds.set(id, time);
+      }
+      debugLog('published:loaded', { count: publishedIds.size });
+    }
+  } catch (error) {
+    debugLog('published:load-error', { error: String(error) });
+  }
+}
+
 function cursorForMessage(message) {
   if (!message) {
     return null;
@@ -1218,17 +4539,105 @@ function getMessageVersion() {
   return messageVersion;
 }
 
-function authHeaders() {
+function authHeaders(credentials = config) {
   const headers = {};
-  if (config.authToken) {
-    headers.Authorization = `Bearer ${config.authToken}`;
-  } else if (config.username && config.password) {
-    const token = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+  if (credentials.authToken) {
+    headers.Authorization = `Bearer ${credentials.authToken}`;
+  } else if (credentials.username && credentials.password) {
+    const token = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
     headers.Authorization = `Basic ${token}`;
   }
   return headers;
 }
 
+// An http button that posts back to the topic. The phone sends it as-is, so on a protected topic
+// the button needs NTFY_ACTION_TOKEN. The server's own credentials never go into a message.
+function replyAction(label, body, headers) {
+  const auth = config.actionToken ? authHeaders({ authToken: config.actionToken }) : {};
+  return {
+    action: 'http',
+    label,
+    url: `${config.baseUrl}/${encodeURIComponent(config.topic)}`,
+    method: 'POST',
+    headers: { ...auth, ...headers },
+    body,
+    clear: true
+  };
+}
+
+// Credentials for a publish target. Only the profile name travels with the message (and into
+// the outbox); the configured credentials are never sent to a different server implicitly.
+function targetAuthHeaders(baseUrl, authProfile) {
+  if (authProfile) {
+    const profile = config.authProfiles[authProfile];
+    if (!profile) {
+      throw new Error(`Unknown auth profile "${authProfile}". Define it in NTFY_AUTH_PROFILES.`);
+    }
+    return authHeaders(profile);
+  }
+  return baseUrl === config.baseUrl ? authHeaders() : {};
+}
+
+function parseSubscribeFilter(value) {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    debugLogSync('config:subscribe-filter-error', { error: String(error) });
+    return null;
+  }
+}
+
+function parseTopicList(value) {
+  if (!value) return [];
+  return [...new Set(String(value).split(',').map((topic) => topic.trim()).filter(Boolean))];
+}
+
+function parseAgentName(value) {
+  if (!value) return '';
+  if (!AGENT_NAME_PATTERN.test(value)) {
+    debugLogSync('config:agent-name-invalid', { value, expected: String(AGENT_NAME_PATTERN) });
+    return '';
+  }
+  return value;
+}
+
+function parseTransport(value) {
+  if (!value) return 'json';
+  const transport = String(value).toLowerCase();
+  if (!SUBSCRIPTION_TRANSPORTS.includes(transport)) {
+    debugLogSync('config:transport-invalid', { value, expected: SUBSCRIPTION_TRANSPORTS });
+    return 'json';
+  }
+  return transport;
+}
+
+// Named policies merge over the built-in "default" ladder; malformed JSON falls back to the built-in only
+function parseEscalationPolicies(value) {
+  if (!value) return { ...DEFAULT_ESCALATION_POLICIES };
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? { ...DEFAULT_ESCALATION_POLICIES, ...parsed }
+      : { ...DEFAULT_ESCALATION_POLICIES };
+  } catch (error) {
+    debugLogSync('config:escalation-policies-error', { error: String(error) });
+    return { ...DEFAULT_ESCALATION_POLICIES };
+  }
+}
+
+function parseAuthProfiles(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    debugLogSync('config:auth-profiles-error', { error: String(error) });
+    return {};
+  }
+}
+
 function normalizeBaseUrl(value) {
   return value.endsWith('/') ? value.slice(0, -1) : value;
 }
@@ -1244,6 +4653,7 @@ Usage:
 
 Options:
   --topic <topic>          Topic name (required, or set NTFY_TOPIC in mcp.json)
+  --topics <a,b>           Extra topics to subscribe to alongside --topic
   --base-url <url>         Base URL for ntfy server (default: https://ntfy.sh)
   --server <url>           Alias for --base-url
   --auth-token <token>     Bearer token for protected topics
@@ -1251,16 +4661,27 @@ Options:
   --password <pass>         Password for basic auth
   --since <cursor>         Initial backlog cursor (default: 0s)
   --log-incoming           Log all incoming messages
+  --max-attachment-bytes <n>
+                           Size limit for uploaded attachments (default: 15728640)
+  --publish-mode <mode>    json (default, falls back to headers on old servers) or headers
+  --agent-name <name>      Tag outgoing messages with agent-<name> to mark their origin
+  --transport <transport>  Subscription transport: json (default), sse or ws
   --help, -h               Show this help message
   --version, -v            Show version
 
 Environment Variables (set in mcp.json):
   NTFY_TOPIC               Topic name (required)
+  NTFY_TOPICS              Extra comma-separated topics to subscribe to
   NTFY_BASE_URL            Base URL for ntfy server
   NTFY_AUTH_TOKEN          Bearer token
   NTFY_USERNAME            Username for basic auth
   NTFY_PASSWORD            Password for basic auth
   NTFY_DATA_DIR            Custom data directory (default: ~/.nfty-mcp-server)
+  NTFY_MAX_ATTACHMENT_BYTES
+                           Size limit for uploaded attachments
+  NTFY_PUBLISH_MODE        Publishing mode: json or headers
+  NTFY_AGENT_NAME          Agent name for the agent-<name> origin tag
+  NTFY_TRANSPORT           Subscription transport: json, sse or ws
 
 Example mcp.json configuration:
 {
@@ -1319,6 +4740,26 @@ For more information, visit: https://github.com/harshwasan/NFTY-MCP
       case '--log-incoming':
         args.logIncoming = true;
         break;
+      case '--max-attachment-bytes':
+        args.maxAttachmentBytes = next;
+        i++;
+        break;
+      case '--publish-mode':
+        args.publishMode = next;
+        i++;
+        break;
+      case '--agent-name':
+        args.agentName = next;
+        i++;
+        break;
+      case '--transport':
+        args.transport = next;
+        i++;
+        break;
+      case '--topics':
+        args.topics = next;
+        i++;
+        break;
       default:
         break;
     }
@@ -1347,8 +4788,35 @@ async function switchTopic(newTopic, newBaseUrl) {
   lastCursor = config.since;
   hydrateBackoffUntil = 0;
   lastHydrateAt = 0;
-  // Don't stop subscription - just ensure a new one is created for the new topic
-  // The old subscription will naturally close when the topic changes
+  // The supervised subscription would keep reconnecting to the old stream, so restart it on the new topic
+  stopSubscription();
+  ensureSubscription();
+}
+
+// The configured topic first, then the extra topics
+function subscriptionTopics() {
+  if (!config.topic) return [];
+  return [...new Set([config.topic, ...config.extraTopics])];
+}
+
+// ntfy subscribes to several topics at once with a comma-separated path: /<topic1>,<topic2>/json
+function subscriptionTopicPath() {
+  return subscriptionTopics().map(encodeURIComponent).join(',');
+}
+
+// Resubscribes with the new topic list; message IDs are unique across topics, so lastCursor still resumes the stream
+function setExtraTopics(topics) {
+  config.extraTopics = [...new Set(topics)];
+  debugLog('subscribe:topics', { topics: subscriptionTopics() });
+  stopSubscription();
+  ensureSubscription();
+}
+
+// Reconnects on the new endpoint; lastCursor is kept so the new stream resumes where the old one stopped
+function switchTransport(transport) {
+  config.transport = transport;
+  debugLog('subscribe:transport', { topic: config.topic, transport });
+  stopSubscription();
   ensureSubscription();
 }
 
@@ -1543,6 +5011,16 @@ debugLog('startup', {
   cachePath: MESSAGE_CACHE_PATH,
   processLogPath: PROCESS_LOG_PATH,
   subscriptionStatePath: SUBSCRIPTION_STATE_PATH,
+  outboxPath: OUTBOX_PATH,
+  idempotencyPath: IDEMPOTENCY_PATH,
+  acksPath: ACKS_PATH,
+  historyPath: HISTORY_PATH,
+  templatesPath: TEMPLATES_PATH,
+  progressPath: PROGRESS_PATH,
+  questionsPath: QUESTIONS_PATH,
+  approvalsPath: APPROVALS_PATH,
+  escalationsPath: ESCALATIONS_PATH,
+  publishedPath: PUBLISHED_PATH,
   debugLogPath: debugLogFile,
   topic: config.topic || '(EMPTY - check mcp.json env section)',
   baseUrl: config.baseUrl,
@@ -1573,6 +5051,13 @@ async function main() {
       isConnected: mcpServer.isConnected()
     });
     
+    // Resume retrying anything left in the outbox by a previous run
+    outboxTimerEnabled = true;
+    scheduleOutboxFlush();
+    // Pick up escalations that were still running when the previous process exited
+    escalationTimerEnabled = true;
+    scheduleEscalations();
+
     // Start subscription once on startup if topic is configured in mcp.json
     // First ensure any existing subscription is stopped
     stopSubscription();
@@ -1600,10 +5085,13 @@ async function shutdown() {
   if (shuttingDown) return;
   shuttingDown = true;
   debugLog('shutdown');
+  if (outboxTimer) clearTimeout(outboxTimer);
+  if (escalationTimer) clearTimeout(escalationTimer);
+  const task = subscriptionTask;
   stopSubscription();
-  if (subscriptionTask) {
+  if (task) {
     try {
-      await subscriptionTask;
+      await task;
     } catch {}
   }
   await mcpServer.close();
@@ -1655,7 +5143,13 @@ function getCachePath() {
 }
 
 export {
+  mcpServer,
   publishMessage,
+  publishOrQueue,
+  flushOutbox,
+  runEscalations,
+  outbox,
+  loadAttachment,
   handleIncoming,
   waitForNewMessages,
   recentMessages,
@@ -1663,5 +5157,6 @@ export {
   resetTestState,
   applyTestConfig,
   getCachePath,
-  ensureSubscription
+  ensureSubscription,
+  stopSubscription
 };
@@ -1,24 +1,109 @@
+import crypto from 'node:crypto';
 import fs from 'node:fs';
+import http from 'node:http';
 import os from 'node:os';
 import path from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 let tempDir;
 
+async function connectClient(mcpServer) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await mcpServer.connect(serverTransport);
+  await client.connect(clientTransport);
+  return client;
+}
+
+// Minimal stand-in for an ntfy server: each subscription endpoint sends an open event and one message
+// ("<endpoint>-1"), then holds the connection open
+async function startNtfyStandIn() {
+  const requests = [];
+  const sockets = new Set();
+  const eventsFor = (endpoint) => [
+    { id: `${endpoint}-open`, event: 'open', time: 100, topic: 'test-topic' },
+    { id: `${endpoint}-1`, event: 'message', time: 101, topic: 'test-topic', message: `via ${endpoint}` }
+  ];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ url, authorization: req.headers.authorization });
+    const endpoint = url.pathname.split('/')[2];
+    if (url.searchParams.has('limit')) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.end();
+    } else if (endpoint === 'json') {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(eventsFor('json').map((event) => `${JSON.stringify(event)}\n`).join(''));
+    } else if (endpoint === 'sse') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(eventsFor('sse').map((event) => `event: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`).join(''));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  server.on('upgrade', (req, socket) => {
+    requests.push({ url: new URL(req.url, 'http://localhost'), authorization: req.headers.authorization });
+    const accept = crypto
+      .createHash('sha1')
+      .update(`${req.headers['sec-websocket-key']}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+      .digest('base64');
+    socket.write(
+      `HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    for (const event of eventsFor('ws')) {
+      const payload = Buffer.from(JSON.stringify(event));
+      // Unmasked text frame; the payloads stay under 126 bytes
+      socket.write(Buffer.concat([Buffer.from([0x81, payload.length]), payload]));
+    }
+    // Any frame from the client here is its close frame
+    socket.on('data', () => socket.end());
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
 beforeEach(() => {
   tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nfty-test-'));
   process.env.NTFY_CACHE_FILE = path.join(tempDir, 'cache.json');
+  process.env.NTFY_DATA_DIR = tempDir;
   process.env.NTFY_TOPIC = 'test-topic';
   process.env.NTFY_BASE_URL = 'https://ntfy.example';
   process.env.NTFY_AUTH_TOKEN = 'secret';
   process.env.NODE_ENV = 'test';
 });
 
-afterEach(() => {
+afterEach(async () => {
+  // Stop the reconnecting subscription loop before the module is discarded
+  const { stopSubscription } = await import('../src/server.js');
+  stopSubscription();
   delete process.env.NTFY_CACHE_FILE;
+  delete process.env.NTFY_DATA_DIR;
   delete process.env.NTFY_TOPIC;
   delete process.env.NTFY_BASE_URL;
   delete process.env.NTFY_AUTH_TOKEN;
+  delete process.env.NTFY_ACTION_TOKEN;
+  delete process.env.NTFY_USERNAME;
+  delete process.env.NTFY_PASSWORD;
+  delete process.env.NTFY_ESCALATION_POLICIES;
+  delete process.env.NTFY_TOPICS;
+  delete process.env.NTFY_HISTORY_LIMIT;
+  delete process.env.NTFY_CLEAN_ON_STARTUP;
+  delete process.env.NTFY_CLEAN_HISTORY_ON_STARTUP;
   vi.restoreAllMocks();
   if (typeof vi.unstubAllGlobals === 'function') {
     vi.unstubAllGlobals();
@@ -38,7 +123,8 @@ describe('ntfy MCP server core', () => {
     });
     vi.stubGlobal('fetch', fetchMock);
 
-    const { publishMessage } = await import('../src/server.js');
+    const { publishMessage, applyTestConfig } = await import('../src/server.js');
+    applyTestConfig({ publishMode: 'headers' });
     const result = await publishMessage({
       topic: 'custom',
       message: 'hello world',
@@ -65,6 +151,1421 @@ describe('ntfy MCP server core', () => {
     expect(result).toEqual({ id: 'abc', time: 123 });
   });
 
+  it('publishes Unicode fields through the JSON endpoint', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ id: 'json', time: 5 })
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { publishMessage } = await import('../src/server.js');
+    await publishMessage({
+      topic: 'custom',
+      message: 'Ünïcødé body',
+      title: 'Build ✅ für 日本',
+      priority: 5,
+      tags: ['rocket', 'café'],
+      actions: [{ action: 'view', label: 'Öffnen', url: 'https://example.com' }]
+    });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://ntfy.example');
+    expect(init.method).toBe('POST');
+    expect(init.headers).toMatchObject({ 'Content-Type': 'application/json', Authorization: 'Bearer secret' });
+    expect(JSON.parse(init.body)).toEqual({
+      topic: 'custom',
+      message: 'Ünïcødé body',
+      title: 'Build ✅ für 日本',
+      priority: 5,
+      tags: ['rocket', 'café'],
+      actions: [{ action: 'view', label: 'Öffnen', url: 'https://example.com' }]
+    });
+  });
+
+  it('falls back to header publishing when the JSON endpoint is missing', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 404, text: () => Promise.resolve('not found') })
+      .mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ id: 'hdr', time: 6 }) });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { publishMessage } = await import('../src/server.js');
+    const first = await publishMessage({ topic: 'custom', message: 'hi', title: 'Grüße' });
+    expect(first).toEqual({ id: 'hdr', time: 6 });
+    expect(fetchMock.mock.calls[1][0]).toBe('https://ntfy.example/custom');
+    expect(fetchMock.mock.calls[1][1].headers.Title).toBe(
+      `=?UTF-8?B?${Buffer.from('Grüße').toString('base64')}?=`
+    );
+
+    await publishMessage({ topic: 'custom', message: 'again' });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(fetchMock.mock.calls[2][0]).toBe('https://ntfy.example/custom');
+  });
+
+  it('maps rich message options and echoes scheduled delivery', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ id: 'later', time: 1893456000 })
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const result = await client.callTool({
+      name: 'send-ntfy',
+      arguments: {
+        message: '**Nightly** build done',
+        click: 'https://ci.example.com/runs/1',
+        icon: 'https://ci.example.com/icon.png',
+        markdown: true,
+        email: 'ops@example.com',
+        at: '2030-01-01T00:00:00Z',
+        cache: false,
+        firebase: false
+      }
+    });
+    await client.close();
+
+    const init = fetchMock.mock.calls[0][1];
+    expect(init.headers).toMatchObject({ Cache: 'no', Firebase: 'no' });
+    expect(JSON.parse(init.body)).toMatchObject({
+      topic: 'test-topic',
+      click: 'https://ci.example.com/runs/1',
+      icon: 'https://ci.example.com/icon.png',
+      markdown: true,
+      email: 'ops@example.com',
+      delay: '1893456000'
+    });
+    expect(result.structuredContent.scheduledAt).toBe('2030-01-01T00:00:00.000Z');
+  });
+
+  it('serializes action buttons into the Actions header', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ id: 'act', time: 1 })
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { publishMessage, applyTestConfig } = await import('../src/server.js');
+    applyTestConfig({ publishMode: 'headers' });
+    await publishMessage({
+      topic: 'custom',
+      message: 'deploy?',
+      actions: [
+        { action: 'view', label: 'Open PR', url: 'https://example.com/pr/1' },
+        {
+          action: 'http',
+          label: 'Approve ✅',
+          url: 'https://hooks.example.com/approve',
+          method: 'PUT',
+          headers: { 'X-Token': 'abc' },
+          body: '{"ok":true}',
+          clear: true
+        },
+        { action: 'broadcast', label: 'Take photo', extras: { cmd: 'pic' } }
+      ]
+    });
+
+    const { headers } = fetchMock.mock.calls[0][1];
+    expect(headers.Actions).not.toMatch(/[^\x00-\x7f]/);
+    expect(JSON.parse(headers.Actions)).toEqual([
+      { action: 'view', label: 'Open PR', url: 'https://example.com/pr/1' },
+      {
+        action: 'http',
+        label: 'Approve ✅',
+        url: 'https://hooks.example.com/approve',
+        method: 'PUT',
+        headers: { 'X-Token': 'abc' },
+        body: '{"ok":true}',
+        clear: true
+      },
+      { action: 'broadcast', label: 'Take photo', extras: { cmd: 'pic' } }
+    ]);
+  });
+
+  it('uploads local file attachments with a PUT body', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          id: 'file',
+          time: 2,
+          attachment: { name: 'shot.png', type: 'image/png', size: 12, url: 'https://ntfy.example/file/x.png', expires: 99 }
+        })
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const filePath = path.join(tempDir, 'shot.png');
+    fs.writeFileSync(filePath, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]));
+
+    const { publishMessage, loadAttachment, applyTestConfig } = await import('../src/server.js');
+    const file = loadAttachment({ path: filePath });
+    expect(file).toMatchObject({ filename: 'shot.png', type: 'image/png' });
+
+    const result = await publishMessage({ topic: 'custom', message: 'build\nfailed', file });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://ntfy.example/custom');
+    expect(init.method).toBe('PUT');
+    expect(init.body).toBe(file.content);
+    expect(init.headers).toMatchObject({ Filename: 'shot.png', Message: 'build\\nfailed', 'Content-Type': 'image/png' });
+    expect(result.attachment.url).toBe('https://ntfy.example/file/x.png');
+
+    const fromBase64 = loadAttachment({ base64: Buffer.from('log line').toString('base64') });
+    expect(fromBase64).toMatchObject({ filename: 'attachment.txt', type: 'text/plain; charset=utf-8' });
+    expect(loadAttachment({ base64: 'bG9n\nIGxpbmU' }).content.toString()).toBe('log line');
+    for (const invalid of ['not base64!', 'bG9nIGxpbmU=x', 'bG9nI', 'bG9n+_xp']) {
+      expect(() => loadAttachment({ base64: invalid })).toThrow(/attachBase64 is not valid base64/);
+    }
+
+    applyTestConfig({ maxAttachmentBytes: 4 });
+    expect(() => loadAttachment({ path: filePath })).toThrow(/exceeding the 4 byte limit/);
+  });
+
+  it('queues failed publishes in a durable outbox and retries them', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        headers: new Headers({ 'Retry-After': '120' }),
+        text: () => Promise.resolve('slow down')
+      })
+      .mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ id: 'late', time: 7 }) });
+    vi.stubGlobal('fetch', fetchMock);
+
+    let server = await import('../src/server.js');
+    const queued = await server.publishOrQueue({ topic: 'custom', message: 'eventually' });
+    expect(queued).toMatchObject({ queued: true });
+    expect(server.outbox).toHaveLength(1);
+
+    // A fresh process picks the queued message up from disk
+    vi.resetModules();
+    server = await import('../src/server.js');
+    expect(server.outbox[0]).toMatchObject({ id: queued.outboxId, status: 'pending', attempts: 1 });
+
+    server.outbox[0].nextAttemptAt = 0;
+    const before = Date.now();
+    await server.flushOutbox();
+    expect(server.outbox[0].attempts).toBe(2);
+    expect(server.outbox[0].nextAttemptAt).toBeGreaterThanOrEqual(before + 120000);
+
+    server.outbox[0].nextAttemptAt = 0;
+    await server.flushOutbox();
+    expect(server.outbox).toHaveLength(0);
+    expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'nfty-outbox.json'), 'utf8'))).toEqual([]);
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body)).toMatchObject({ topic: 'custom', message: 'eventually' });
+  });
+
+  it('keeps other outbox entries when one is discarded mid-send and retries behind a running flush', async () => {
+    let releaseFirst;
+    const sent = [];
+    let online = false;
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (!online) throw new TypeError('fetch failed');
+      const { message } = JSON.parse(init.body);
+      if (message === 'first') await new Promise((resolve) => (releaseFirst = resolve));
+      sent.push(message);
+      return { ok: true, status: 200, json: () => Promise.resolve({ id: message, time: 1 }) };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, publishOrQueue, flushOutbox, outbox } = await import('../src/server.js');
+    const ids = [];
+    for (const message of ['first', 'later', 'dead']) {
+      ids.push((await publishOrQueue({ topic: 'custom', message })).outboxId);
+    }
+    outbox[0].nextAttemptAt = 0;
+    outbox[1].nextAttemptAt = Date.now() + 3600000;
+    Object.assign(outbox[2], { status: 'dead', nextAttemptAt: null });
+    online = true;
+    const client = await connectClient(mcpServer);
+
+    const flushing = flushOutbox();
+    await vi.waitFor(() => expect(releaseFirst).toBeTypeOf('function'));
+    await client.callTool({ name: 'outbox-status', arguments: { action: 'discard', ids: [ids[0]] } });
+    const retry = client.callTool({ name: 'outbox-status', arguments: { action: 'retry', ids: [ids[2]] } });
+    releaseFirst();
+    const retried = await retry;
+    await flushing;
+    await client.close();
+
+    expect(sent).toEqual(['first', 'dead']);
+    expect(outbox.map((entry) => entry.id)).toEqual([ids[1]]);
+    expect(retried.structuredContent).toMatchObject({ affected: 1, dead: [] });
+  });
+
+  it('suppresses repeated sends with the same idempotency key', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ id: 'once', time: 8 })
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    let server = await import('../src/server.js');
+    let client = await connectClient(server.mcpServer);
+    const args = { message: 'Build failed', idempotencyKey: 'build-42' };
+    const first = await client.callTool({ name: 'send-ntfy', arguments: args });
+    const second = await client.callTool({ name: 'send-ntfy', arguments: args });
+    await client.close();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(first.structuredContent.id).toBe('once');
+    expect(second.structuredContent).toMatchObject({ id: 'once', duplicate: true });
+
+    // Keys persist across restarts
+    vi.resetModules();
+    server = await import('../src/server.js');
+    client = await connectClient(server.mcpServer);
+    const third = await client.callTool({ name: 'send-ntfy', arguments: args });
+    const other = await client.callTool({ name: 'send-ntfy', arguments: { message: 'Build failed' } });
+    await client.close();
+
+    expect(third.structuredContent.duplicate).toBe(true);
+    expect(other.structuredContent.duplicate).toBeUndefined();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('fans out to multiple targets and reports each result', async () => {
+    process.env.NTFY_AUTH_PROFILES = JSON.stringify({ home: { username: 'me', password: 'pw' } });
+    const fetchMock = vi.fn(async (url, init) => {
+      const { topic } = JSON.parse(init.body);
+      if (topic === 'broken') {
+        return { ok: false, status: 403, text: () => Promise.resolve('forbidden') };
+      }
+      return { ok: true, status: 200, json: () => Promise.resolve({ id: `id-${topic}`, time: 9 }) };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer } = await import('../src/server.js');
+    delete process.env.NTFY_AUTH_PROFILES;
+    const client = await connectClient(mcpServer);
+    const result = await client.callTool({
+      name: 'send-ntfy',
+      arguments: {
+        message: 'Release 2.0 shipped',
+        targets: [
+          { topic: 'personal' },
+          { topic: 'broken' },
+          { topic: 'family', baseUrl: 'https://ntfy.home.example/', authProfile: 'home' }
+        ]
+      }
+    });
+    await client.close();
+
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent.results).toEqual([
+      expect.objectContaining({ topic: 'personal', baseUrl: 'https://ntfy.example', status: 'sent', id: 'id-personal' }),
+      expect.objectContaining({ topic: 'broken', status: 'failed', error: expect.stringContaining('403') }),
+      expect.objectContaining({ topic: 'family', baseUrl: 'https://ntfy.home.example', status: 'sent', id: 'id-family' })
+    ]);
+    const homeCall = fetchMock.mock.calls.find(([url]) => url === 'https://ntfy.home.example');
+    expect(homeCall[1].headers.Authorization).toBe(`Basic ${Buffer.from('me:pw').toString('base64')}`);
+    const personalCall = fetchMock.mock.calls.find(([, init]) => JSON.parse(init.body).topic === 'personal');
+    expect(personalCall[1].headers.Authorization).toBe('Bearer secret');
+  });
+
+  it('renders and publishes named templates', async () => {
+    fs.writeFileSync(
+      path.join(tempDir, 'nfty-templates.json'),
+      JSON.stringify({
+        'build-failed': {
+          description: 'CI failure',
+          title: 'Build failed: {{project}}',
+          message: 'Branch {{ branch }} failed at {{stage}}',
+          tags: ['x', '{{project}}'],
+          priority: 4,
+          actions: [{ action: 'view', label: 'Logs', url: '{{logUrl}}' }]
+        },
+        broken: { title: 'no message' }
+      })
+    );
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ id: 'tpl', time: 10 })
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+
+    const listed = await client.callTool({ name: 'list-templates', arguments: {} });
+    expect(listed.structuredContent.templates).toEqual([
+      expect.objectContaining({ name: 'build-failed', variables: ['project', 'branch', 'stage', 'logUrl'] })
+    ]);
+    expect(listed.structuredContent.errors).toEqual([expect.objectContaining({ name: 'broken' })]);
+
+    const missing = await client.callTool({
+      name: 'send-template',
+      arguments: { name: 'build-failed', variables: { project: 'api' } }
+    });
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toContain('missing variables: branch, stage, logUrl');
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    const sent = await client.callTool({
+      name: 'send-template',
+      arguments: {
+        name: 'build-failed',
+        variables: { project: 'api', branch: 'main', stage: 'test', logUrl: 'https://ci.example.com/1' }
+      }
+    });
+    await client.close();
+
+    expect(sent.structuredContent).toMatchObject({ template: 'build-failed', id: 'tpl' });
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({
+      title: 'Build failed: api',
+      message: 'Branch main failed at test',
+      tags: ['x', 'api'],
+      priority: 4,
+      actions: [{ action: 'view', label: 'Logs', url: 'https://ci.example.com/1' }]
+    });
+  });
+
+  it('updates one progress notification in place per job', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ id: 'p', time: 11 })
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const started = await client.callTool({
+      name: 'report-progress',
+      arguments: { job: 'deploy api', action: 'start', stage: 'building', title: 'Deploy' }
+    });
+    const updated = await client.callTool({
+      name: 'report-progress',
+      arguments: { job: 'deploy api', percent: 40, stage: 'uploading', etaSeconds: 200 }
+    });
+    const { sequenceId } = started.structuredContent;
+    expect(sequenceId).toMatch(/^progress-deploy-api-[0-9a-f]{8}$/);
+    expect(updated.structuredContent).toMatchObject({ sequenceId, state: 'running', percent: 40 });
+
+    const bodies = fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body));
+    expect(bodies.map((body) => body.sequence_id)).toEqual([sequenceId, sequenceId]);
+    expect(bodies[1]).toMatchObject({ title: 'Deploy', message: '[████░░░░░░] 40% - uploading\nETA 3m 20s' });
+
+    const persisted = JSON.parse(fs.readFileSync(path.join(tempDir, 'nfty-progress.json'), 'utf8'));
+    expect(persisted['deploy api'].sequenceId).toBe(sequenceId);
+
+    await client.callTool({ name: 'report-progress', arguments: { job: 'migrate', percent: 10 } });
+    const migrateSequence = JSON.parse(fetchMock.mock.calls[2][1].body).sequence_id;
+    const cleared = await client.callTool({ name: 'report-progress', arguments: { job: 'migrate', action: 'clear' } });
+    expect(cleared.structuredContent.state).toBe('cleared');
+    expect(fetchMock.mock.calls[3]).toEqual([
+      `https://ntfy.example/test-topic/${migrateSequence}`,
+      expect.objectContaining({ method: 'DELETE' })
+    ]);
+
+    const finished = await client.callTool({ name: 'report-progress', arguments: { job: 'deploy api', action: 'finish' } });
+    await client.close();
+    expect(finished.structuredContent).toMatchObject({ state: 'done', percent: 100 });
+    expect(JSON.parse(fetchMock.mock.calls[4][1].body)).toMatchObject({ sequence_id: sequenceId, message: 'Done: uploading' });
+    expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'nfty-progress.json'), 'utf8'))).toEqual({});
+  });
+
+  it('deletes and clears published messages and marks them in the cache', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({})
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming, recentMessages } = await import('../src/server.js');
+    handleIncoming({ id: 'm1', event: 'message', time: 1, message: 'oops', topic: 'other-topic' });
+    handleIncoming({ id: 'm2', event: 'message', time: 2, message: 'approve?', topic: 'test-topic', sequence_id: 'ask-7' });
+
+    const client = await connectClient(mcpServer);
+    const deleted = await client.callTool({ name: 'delete-ntfy-message', arguments: { id: 'm1' } });
+    const cleared = await client.callTool({ name: 'clear-ntfy-message', arguments: { sequenceId: 'ask-7' } });
+    await client.close();
+
+    expect(fetchMock.mock.calls[0]).toEqual([
+      'https://ntfy.example/other-topic/m1',
+      expect.objectContaining({ method: 'DELETE' })
+    ]);
+    expect(fetchMock.mock.calls[1]).toEqual([
+      'https://ntfy.example/test-topic/ask-7/clear',
+      expect.objectContaining({ method: 'PUT' })
+    ]);
+    expect(deleted.structuredContent).toMatchObject({ state: 'deleted', cachedMessagesMarked: 1 });
+    expect(cleared.structuredContent).toMatchObject({ state: 'cleared', cachedMessagesMarked: 1 });
+    expect(recentMessages.find((msg) => msg.id === 'm1').retracted).toBe('deleted');
+    const cache = JSON.parse(fs.readFileSync(process.env.NTFY_CACHE_FILE, 'utf8'));
+    expect(cache.find((msg) => msg.id === 'm2').retracted).toBe('cleared');
+  });
+
+  it('asks a question and waits only for the correlated reply', async () => {
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: 'question-msg', time: 100 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const args = { question: 'Ship it?', quickReplies: ['Yes', 'No'], timeoutSeconds: 1 };
+
+    const first = await client.callTool({ name: 'ask-user', arguments: args });
+    const { questionId } = first.structuredContent;
+    expect(first.structuredContent).toMatchObject({ status: 'pending', resumed: false });
+    const published = JSON.parse(fetchMock.mock.calls.find(([, init]) => init?.method === 'POST')[1].body);
+    expect(published.tags).toEqual(['question', questionId]);
+    expect(published.actions[0]).toMatchObject({
+      action: 'http',
+      label: 'Yes',
+      url: 'https://ntfy.example/test-topic',
+      headers: { Tags: `re-${questionId}` },
+      body: 'Yes'
+    });
+
+    // Echo of our own question and unrelated chatter must not count as the answer
+    handleIncoming({ id: 'question-msg', event: 'message', time: 100, message: 'Ship it?', tags: ['question', questionId] });
+    handleIncoming({ id: 'noise', event: 'message', time: 101, message: 'lunch?' });
+
+    setTimeout(() => {
+      handleIncoming({ id: 'reply', event: 'message', time: 102, message: `${questionId}: yes, ship it` });
+    }, 50);
+    const second = await client.callTool({ name: 'ask-user', arguments: { ...args, timeoutSeconds: 5 } });
+    await client.close();
+
+    expect(second.structuredContent).toMatchObject({
+      questionId,
+      status: 'answered',
+      answer: 'yes, ship it',
+      answerMessageId: 'reply',
+      resumed: true
+    });
+    expect(fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST')).toHaveLength(1);
+  });
+
+  it('drops questions and approvals that stayed open past their retention', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const day = 24 * 60 * 60;
+    const question = (id, askedAt) => ({ id, kind: 'text', question: id, topic: 'test-topic', askedAt, status: 'pending' });
+    fs.writeFileSync(
+      path.join(tempDir, 'nfty-questions.json'),
+      JSON.stringify({
+        'q-000001': question('q-000001', now - 8 * day),
+        'q-000002': question('q-000002', now - 2 * day),
+        'q-000003': { ...question('q-000003', now - 2 * day), expiresAt: now - 60 }
+      })
+    );
+    fs.writeFileSync(
+      path.join(tempDir, 'nfty-approvals.json'),
+      JSON.stringify({
+        'a-000001': { id: 'a-000001', summary: 'Old', topic: 'test-topic', requestedAt: now - 3 * day, expiresAt: now - 2 * day, decision: 'pending' }
+      })
+    );
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: 'msg', time: now }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const [asked, approval] = await Promise.all([
+      client.callTool({ name: 'ask-user', arguments: { question: 'New?', timeoutSeconds: 1 } }),
+      client.callTool({ name: 'request-approval', arguments: { summary: 'New', timeoutSeconds: 1 } })
+    ]);
+    await client.close();
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tempDir, 'nfty-questions.json'), 'utf8'));
+    expect(Object.keys(stored).sort()).toEqual(['q-000002', asked.structuredContent.questionId].sort());
+    const approvals = JSON.parse(fs.readFileSync(path.join(tempDir, 'nfty-approvals.json'), 'utf8'));
+    expect(Object.keys(approvals)).toEqual([approval.structuredContent.approvalId]);
+  });
+
+  it('rejects an unknown questionId instead of asking a new question', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ id: 'q', time: 100 }) });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const result = await client.callTool({
+      name: 'ask-user',
+      arguments: { questionId: 'q-missing', question: 'Ship it?', timeoutSeconds: 1 }
+    });
+    await client.close();
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Unknown questionId "q-missing"');
+    expect(fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST')).toHaveLength(0);
+  });
+
+  it('resolves multiple-choice replies and clarifies ambiguous ones', async () => {
+    let publishedAt = 200;
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: `pub-${fetchMock.mock.calls.length}`, time: publishedAt }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const options = [
+      { key: 'retry', label: 'Retry' },
+      { key: 'skip', label: 'Skip tests' },
+      { key: 'abort-deploy', label: 'Abort deploy' },
+      { key: 'abort-all', label: 'Abort everything' }
+    ];
+    setTimeout(() => {
+      const questionId = JSON.parse(fetchMock.mock.calls.find(([, init]) => init?.method === 'POST')[1].body).tags[1];
+      // Chatter naming an option (or two) is neither an answer nor worth a clarification
+      handleIncoming({ id: 'noise', event: 'message', time: 201, message: "I'll skip lunch, then abort deploy and retry" });
+      handleIncoming({ id: 'vague', event: 'message', time: 202, message: `${questionId}: abort` });
+    }, 50);
+    setTimeout(() => {
+      handleIncoming({ id: 'pick', event: 'message', time: 203, message: '4' });
+    }, 150);
+    const result = await client.callTool({
+      name: 'ask-choice',
+      arguments: { question: 'Tests failed. What now?', options, timeoutSeconds: 5 }
+    });
+
+    // With two choices open, a bare number answers neither of them
+    publishedAt = 300;
+    const first = await client.callTool({ name: 'ask-choice', arguments: { question: 'Which env?', options, timeoutSeconds: 1 } });
+    handleIncoming({ id: 'bare', event: 'message', time: 301, message: '2' });
+    const second = await client.callTool({ name: 'ask-choice', arguments: { question: 'Which region?', options, timeoutSeconds: 1 } });
+    await client.close();
+
+    expect(result.structuredContent).toMatchObject({
+      status: 'answered',
+      selectedKey: 'abort-all',
+      answerMessageId: 'pick',
+      clarificationsSent: 1
+    });
+    const posts = fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST').map(([, init]) => JSON.parse(init.body));
+    expect(posts[0].message).toContain('1. Retry\n2. Skip tests\n3. Abort deploy\n4. Abort everything');
+    expect(posts[0].actions.map((action) => action.body)).toEqual(['retry', 'skip', 'abort-deploy']);
+    expect(posts[1]).toMatchObject({ title: 'Please clarify' });
+    expect(posts[1].message).toContain('3. Abort deploy\n4. Abort everything');
+    expect(posts.filter((post) => post.title === 'Please clarify')).toHaveLength(1);
+    expect(first.structuredContent.status).toBe('pending');
+    expect(second.structuredContent.status).toBe('pending');
+  });
+
+  it('returns only structured input that validates against the schema', async () => {
+    let publishedAt = 300;
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: `pub-${fetchMock.mock.calls.length}`, time: publishedAt }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    setTimeout(() => {
+      const questionId = JSON.parse(fetchMock.mock.calls.find(([, init]) => init?.method === 'POST')[1].body).tags[1];
+      handleIncoming({ id: 'chatter', event: 'message', time: 301, message: 'on my way' });
+      // Unreferenced YAML-looking chatter is not worth an "Invalid reply" notice
+      handleIncoming({ id: 'status', event: 'message', time: 301, message: 'build: running' });
+      handleIncoming({ id: 'bad', event: 'message', time: 302, message: `${questionId}\nversion: 1.2\nport: http` });
+      handleIncoming({
+        id: 'good',
+        event: 'message',
+        time: 303,
+        message: 'version: 1.10.0\nport: 8080\nhosts:\n  - web1\n  - web2'
+      });
+    }, 50);
+    const result = await client.callTool({
+      name: 'request-input',
+      arguments: {
+        question: 'Release details?',
+        schema: {
+          type: 'object',
+          properties: {
+            version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+            port: { type: 'integer' },
+            hosts: { type: 'array', items: { type: 'string' }, minItems: 1 }
+          },
+          required: ['version', 'port', 'hosts']
+        },
+        example: { version: '1.0.0', port: 443, hosts: ['web1'] },
+        timeoutSeconds: 5
+      }
+    });
+
+    // With two input requests open, an unreferenced message that fits the schema answers neither
+    publishedAt = 400;
+    const name = { question: 'Your name?', schema: { type: 'string' }, timeoutSeconds: 1 };
+    const first = await client.callTool({ name: 'request-input', arguments: name });
+    handleIncoming({ id: 'aside', event: 'message', time: 401, message: 'on my way' });
+    const second = await client.callTool({ name: 'request-input', arguments: { ...name, question: 'Your team?' } });
+    await client.close();
+
+    expect(result.structuredContent).toMatchObject({
+      status: 'answered',
+      format: 'yaml',
+      answerMessageId: 'good',
+      invalidReplies: 1,
+      data: { version: '1.10.0', port: 8080, hosts: ['web1', 'web2'] }
+    });
+    const posts = fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST').map(([, init]) => JSON.parse(init.body));
+    expect(posts[0].message).toContain('"port": 443');
+    expect(posts[1].title).toBe('Invalid reply');
+    expect(posts[1].message).toContain('/version must match pattern');
+    expect(posts[1].message).toContain('/port must be integer');
+    expect(posts[1].message).toContain("must have required property 'hosts'");
+    expect(posts.filter((post) => post.title === 'Invalid reply')).toHaveLength(1);
+    expect(first.structuredContent.status).toBe('pending');
+    expect(second.structuredContent.status).toBe('pending');
+  });
+
+  it('reads YAML replies with flow collections, quoting and block scalars', async () => {
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: 'ask', time: 500 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    setTimeout(() => {
+      handleIncoming({
+        id: 'reply',
+        event: 'message',
+        time: 501,
+        message: 'hosts: [web1, "web 2"]\nlabel: "env: prod" # quoted colon\nnotes: |\n  line one\n  line two'
+      });
+    }, 50);
+    const result = await client.callTool({
+      name: 'request-input',
+      arguments: {
+        question: 'Rollout?',
+        schema: {
+          type: 'object',
+          properties: { hosts: { type: 'array', items: { type: 'string' } }, label: { type: 'string' }, notes: { type: 'string' } },
+          required: ['hosts', 'label', 'notes']
+        },
+        timeoutSeconds: 5
+      }
+    });
+    await client.close();
+
+    expect(result.structuredContent).toMatchObject({
+      status: 'answered',
+      format: 'yaml',
+      data: { hosts: ['web1', 'web 2'], label: 'env: prod', notes: 'line one\nline two\n' }
+    });
+  });
+
+  it('accepts only signed, unexpired approval decisions', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: 'approval-msg', time: now }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    setTimeout(async () => {
+      const publish = await vi.waitFor(() => fetchMock.mock.calls.find(([, init]) => init?.method === 'POST') ?? Promise.reject());
+      const { actions } = JSON.parse(publish[1].body);
+      const [approve, deny] = actions.map((action) => action.body);
+      const expiresAt = Number(approve.split(':')[3]);
+      const forged = approve.replace(/.$/, (char) => (char === '0' ? '1' : '0'));
+      const padded = approve.replace(`:${expiresAt}:`, `:0${expiresAt}:`);
+      handleIncoming({ id: 'forged', event: 'message', time: now + 1, message: forged });
+      handleIncoming({ id: 'padded', event: 'message', time: now + 1, message: padded });
+      handleIncoming({ id: 'late', event: 'message', time: expiresAt + 1, message: approve });
+      handleIncoming({ id: 'deny', event: 'message', time: now + 2, message: deny });
+    }, 50);
+    const result = await client.callTool({
+      name: 'request-approval',
+      arguments: { summary: 'Deploy api to production', expiresInSeconds: 60, timeoutSeconds: 5 }
+    });
+    await client.close();
+
+    expect(result.structuredContent).toMatchObject({
+      decision: 'denied',
+      by: 'ntfy-action',
+      at: now + 2,
+      rejectedDecisions: 3
+    });
+    const published = JSON.parse(fetchMock.mock.calls.find(([, init]) => init?.method === 'POST')[1].body);
+    expect(published.actions.map((action) => action.label)).toEqual(['Approve', 'Deny']);
+    expect(published.actions[0].body.split(':')[3]).toBe(String(result.structuredContent.expiresAt));
+    expect(result.structuredContent.expiresAt - now).toBeGreaterThanOrEqual(60);
+    expect(published.priority).toBe(4);
+  });
+
+  it('never puts the server credentials into reply buttons', async () => {
+    delete process.env.NTFY_AUTH_TOKEN;
+    process.env.NTFY_USERNAME = 'agent';
+    process.env.NTFY_PASSWORD = 'hunter2';
+    const basic = `Basic ${Buffer.from('agent:hunter2').toString('base64')}`;
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: 'msg', time: 100 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const posts = () => fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST');
+    const buttonHeaders = () => posts().flatMap(([, init]) => JSON.parse(init.body).actions.map((action) => action.headers));
+
+    let server = await import('../src/server.js');
+    let client = await connectClient(server.mcpServer);
+    await client.callTool({ name: 'ask-user', arguments: { question: 'Ship?', quickReplies: ['yes'], timeoutSeconds: 1 } });
+    await client.close();
+    expect(posts()[0][1].headers.Authorization).toBe(basic);
+    expect(buttonHeaders()).toEqual([{ Tags: expect.any(String) }]);
+    expect(posts()[0][1].body).not.toContain(basic);
+
+    server.stopSubscription();
+    vi.resetModules();
+    fetchMock.mockClear();
+    process.env.NTFY_AUTH_TOKEN = 'server-token';
+    process.env.NTFY_ACTION_TOKEN = 'button-token';
+    server = await import('../src/server.js');
+    client = await connectClient(server.mcpServer);
+    await Promise.all([
+      client.callTool({ name: 'request-approval', arguments: { summary: 'Drop table', timeoutSeconds: 1 } }),
+      client.callTool({ name: 'ask-choice', arguments: { question: 'Region?', options: [{ key: 'eu', label: 'EU' }, { key: 'us', label: 'US' }], timeoutSeconds: 1 } })
+    ]);
+    await client.close();
+    const headers = buttonHeaders();
+    expect(headers).toHaveLength(4);
+    for (const entry of headers) {
+      expect(entry.Authorization).toBe('Bearer button-token');
+    }
+    for (const [, init] of posts()) {
+      expect(init.headers.Authorization).toBe('Bearer server-token');
+      expect(init.body).not.toContain('server-token');
+    }
+  });
+
+  it('escalates unanswered questions along the policy and stops once answered', async () => {
+    process.env.NTFY_ESCALATION_POLICIES = JSON.stringify({
+      page: [
+        { afterMinutes: 5, topic: 'oncall', email: 'ops@example.com', call: true },
+        { afterMinutes: 1, priority: 5 }
+      ]
+    });
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: `msg-${fetchMock.mock.calls.length}`, time: 100 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const posts = () => fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST').map(([, init]) => JSON.parse(init.body));
+
+    const { mcpServer, handleIncoming, runEscalations } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const unknown = await client.callTool({ name: 'ask-user', arguments: { question: 'Up?', escalation: 'nope', timeoutSeconds: 1 } });
+    expect(unknown.isError).toBe(true);
+    expect(posts()).toHaveLength(0);
+
+    const ignored = await client.callTool({ name: 'ask-user', arguments: { question: 'Roll back?', escalation: 'page', timeoutSeconds: 1 } });
+    const answered = await client.callTool({ name: 'ask-user', arguments: { question: 'Retry?', escalation: 'page', timeoutSeconds: 1 } });
+    const ignoredId = ignored.structuredContent.questionId;
+    const answeredId = answered.structuredContent.questionId;
+    handleIncoming({ id: 'reply', event: 'message', time: 200, message: `${answeredId}: yes` });
+
+    await runEscalations(Date.now() + 61 * 1000);
+    expect(posts().slice(2)).toEqual([
+      expect.objectContaining({ topic: 'test-topic', title: 'Reminder: Question', priority: 5, tags: ['question', ignoredId] })
+    ]);
+
+    await runEscalations(Date.now() + 6 * 60 * 1000);
+    const [fallback] = posts().slice(3);
+    expect(fallback).toMatchObject({ topic: 'oncall', email: 'ops@example.com', call: 'yes', tags: ['question', ignoredId] });
+    expect(fallback.message).toContain('Reply on topic "test-topic".');
+
+    const listed = await client.callTool({ name: 'escalations', arguments: {} });
+    await client.close();
+    expect(listed.structuredContent.escalations).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ id: ignoredId, status: 'completed', stepsFired: 2, stepsTotal: 2 }),
+        expect.objectContaining({ id: answeredId, status: 'resolved', stepsFired: 0 })
+      ])
+    );
+  });
+
+  it('sends each escalation step once when escalation runs overlap', async () => {
+    process.env.NTFY_ESCALATION_POLICIES = JSON.stringify({ once: [{ afterMinutes: 1, priority: 5 }] });
+    let gate = null;
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        if (gate) await gate;
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: `msg-${fetchMock.mock.calls.length}`, time: 100 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const reminders = () =>
+      fetchMock.mock.calls
+        .filter(([, init]) => init?.method === 'POST')
+        .map(([, init]) => JSON.parse(init.body))
+        .filter((body) => body.title?.startsWith('Reminder'));
+
+    const { mcpServer, runEscalations } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const first = await client.callTool({ name: 'ask-user', arguments: { question: 'Deploy?', escalation: 'once', timeoutSeconds: 1 } });
+    const second = await client.callTool({ name: 'ask-user', arguments: { question: 'Migrate?', escalation: 'once', timeoutSeconds: 1 } });
+    await client.close();
+
+    let release;
+    gate = new Promise((resolve) => (release = resolve));
+    const later = Date.now() + 2 * 60 * 1000;
+    const running = runEscalations(later);
+    // A second run starts while the first is still publishing (as a newly scheduled timer would)
+    const overlapping = runEscalations(later);
+    release();
+    await Promise.all([running, overlapping]);
+
+    expect(reminders().map((body) => body.tags[1]).sort()).toEqual(
+      [first.structuredContent.questionId, second.structuredContent.questionId].sort()
+    );
+  });
+
+  it('checks for answers without side effects when deciding whether to escalate', async () => {
+    process.env.NTFY_ESCALATION_POLICIES = JSON.stringify({ once: [{ afterMinutes: 1, priority: 5 }] });
+    let publishedAt = 100;
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        publishedAt += 1;
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: `msg-${publishedAt}`, time: publishedAt }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const titles = () =>
+      fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST').map(([, init]) => JSON.parse(init.body).title);
+
+    const { mcpServer, handleIncoming, runEscalations } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const options = [{ key: 'eu', label: 'Europe' }, { key: 'us', label: 'United States' }];
+    const ask = (question) => client.callTool({ name: 'ask-choice', arguments: { question, options, escalation: 'once', timeoutSeconds: 1 } });
+    const unclear = (await ask('Region?')).structuredContent.questionId;
+    const answered = (await ask('Backup region?')).structuredContent.questionId;
+    const approvalId = (
+      await client.callTool({ name: 'request-approval', arguments: { summary: 'Failover', escalation: 'once', timeoutSeconds: 1 } })
+    ).structuredContent.approvalId;
+    const [, deny] = JSON.parse(fetchMock.mock.calls.filter(([, init]) => init?.method === 'POST')[2][1].body).actions;
+    const now = Math.floor(Date.now() / 1000);
+    handleIncoming({ id: 'unclear', event: 'message', time: 200, message: `${unclear}: mars` });
+    handleIncoming({ id: 'answer', event: 'message', time: 201, message: `${answered}: 2` });
+    handleIncoming({ id: 'decision', event: 'message', time: now, message: deny.body });
+
+    await runEscalations(Date.now() + 2 * 60 * 1000);
+    // The answered choice and the decided approval are not re-sent, and the unclear reply is left for the waiting call to clarify
+    expect(titles()).toEqual(['Choose an option', 'Choose an option', 'Approval needed', 'Reminder: Choose an option']);
+
+    const resumed = await client.callTool({ name: 'ask-choice', arguments: { questionId: answered, timeoutSeconds: 1 } });
+    const pending = await client.callTool({ name: 'ask-choice', arguments: { questionId: unclear, timeoutSeconds: 1 } });
+    const decided = await client.callTool({ name: 'request-approval', arguments: { approvalId, timeoutSeconds: 1 } });
+    await client.close();
+    expect(resumed.structuredContent).toMatchObject({ status: 'answered', selectedKey: 'us' });
+    expect(pending.structuredContent).toMatchObject({ status: 'pending', clarificationsSent: 1 });
+    expect(decided.structuredContent).toMatchObject({ decision: 'denied', by: 'ntfy-action', at: now });
+    expect(titles().slice(4)).toEqual(['Please clarify']);
+  });
+
+  it('classifies message origin and skips our own messages while waiting', async () => {
+    let nextId = 'early';
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: nextId, time: 100 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming, applyTestConfig, recentMessages } = await import('../src/server.js');
+    applyTestConfig({ agentName: 'builder' });
+    const client = await connectClient(mcpServer);
+
+    // The subscription can echo a message before its publish response arrives
+    handleIncoming({ id: 'early', event: 'message', time: 100, message: 'Build started' });
+    await client.callTool({ name: 'send-ntfy', arguments: { message: 'Build started' } });
+    nextId = 'later';
+    await client.callTool({ name: 'send-ntfy', arguments: { message: 'Build done', title: 'CI' } });
+    handleIncoming({ id: 'later', event: 'message', time: 101, title: 'CI', message: 'Build done' });
+    handleIncoming({ id: 'restarted', event: 'message', time: 102, message: 'Old run', tags: ['agent-builder'] });
+    handleIncoming({ id: 'peer', event: 'message', time: 103, message: 'Deploy queued', tags: ['agent-deployer'] });
+    handleIncoming({ id: 'human', event: 'message', time: 104, title: 'From phone', priority: 4, message: 'Looks good' });
+
+    const published = JSON.parse(fetchMock.mock.calls.find(([, init]) => init?.method === 'POST')[1].body);
+    expect(published.tags).toEqual(['agent-builder']);
+    expect(Object.fromEntries(recentMessages.map((msg) => [msg.id, msg.origin]))).toEqual({
+      early: 'self',
+      later: 'self',
+      restarted: 'self',
+      peer: 'other-agent',
+      human: 'human'
+    });
+
+    const result = await client.callTool({ name: 'wait-and-read-inbox', arguments: { since: 'all', sinceNow: false } });
+    await client.close();
+    expect(result.structuredContent.messages.map((msg) => [msg.id, msg.origin])).toEqual([
+      ['human', 'human'],
+      ['peer', 'other-agent']
+    ]);
+    expect(result.content[0].text).toContain('Other agent: Deploy queued');
+  });
+
+  it('does not wake a wait on its own message echoed before the publish response', async () => {
+    let handleIncoming;
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        const { topic, message } = JSON.parse(init.body);
+        handleIncoming({ id: 'echo', event: 'message', time: Math.floor(Date.now() / 1000), topic, message });
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: 'echo', time: 100 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const server = await import('../src/server.js');
+    handleIncoming = server.handleIncoming;
+    const client = await connectClient(server.mcpServer);
+    setTimeout(() => {
+      server.publishMessage({ topic: 'test-topic', message: 'Build started' });
+    }, 50);
+    setTimeout(() => {
+      const now = Math.floor(Date.now() / 1000);
+      handleIncoming({ id: 'tagged', event: 'message', time: now, message: 'ping', tags: ['agent-Not a name'] });
+      handleIncoming({ id: 'peer', event: 'message', time: now, message: 'Deploy queued', tags: ['agent-deployer'] });
+    }, 150);
+    const result = await client.callTool({ name: 'wait-and-read-inbox', arguments: { timeoutSeconds: 5 } });
+    await client.close();
+
+    expect(result.structuredContent.messages.map((msg) => [msg.id, msg.origin])).toEqual([
+      ['peer', 'other-agent'],
+      ['tagged', 'human']
+    ]);
+    expect(server.recentMessages.find((msg) => msg.id === 'echo').origin).toBe('self');
+  });
+
+  it('waits for messages without polling and times out cleanly with progress', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200, body: null })));
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const progress = [];
+    const timedOut = await client.callTool(
+      { name: 'wait-and-read-inbox', arguments: { timeoutSeconds: 1 } },
+      undefined,
+      { onprogress: (update) => progress.push(update) }
+    );
+    expect(timedOut.structuredContent).toMatchObject({ newCount: 0, timedOut: true, messages: [] });
+    expect(progress[0]).toMatchObject({ progress: 0, total: 1 });
+
+    const now = Math.floor(Date.now() / 1000);
+    setTimeout(() => handleIncoming({ id: 'reply', event: 'message', time: now + 1, message: 'done' }), 50);
+    const startedAt = Date.now();
+    const received = await client.callTool({ name: 'wait-and-read-inbox', arguments: { timeoutSeconds: 30 } });
+    await client.close();
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(received.structuredContent).toMatchObject({ newCount: 1, timedOut: false, lastCursor: 'reply' });
+    expect(received.structuredContent.messages[0]).toMatchObject({ id: 'reply', message: 'done', origin: 'human' });
+  });
+
+  it('filters waits and inbox reads and applies the subscribe filter on arrival', async () => {
+    const fetchMock = vi.fn(async () => ({ ok: true, status: 200, body: null }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming, applyTestConfig, ensureSubscription, stopSubscription, recentMessages } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const now = Math.floor(Date.now() / 1000);
+    setTimeout(() => {
+      handleIncoming({ id: 'ci', event: 'message', time: now + 1, priority: 5, tags: ['ci'], message: 'build 812 passed' });
+      handleIncoming({ id: 'low', event: 'message', time: now + 2, priority: 2, tags: ['deploy'], message: 'deploy queued' });
+    }, 50);
+    setTimeout(() => {
+      handleIncoming({ id: 'deploy', event: 'message', time: now + 3, priority: 4, tags: ['deploy', 'prod'], message: 'Deploy FAILED' });
+    }, 150);
+    const result = await client.callTool({
+      name: 'wait-and-read-inbox',
+      arguments: { timeoutSeconds: 5, filter: { tags: ['deploy'], minPriority: 4, message: 'failed' } }
+    });
+    expect(result.structuredContent.messages.map((msg) => msg.id)).toEqual(['deploy']);
+
+    const inbox = await client.readResource({ uri: 'ntfy://inbox?tags=ci,prod&minPriority=4&untilId=deploy' });
+    expect(JSON.parse(inbox.contents[0].text).messages.map((msg) => msg.id)).toEqual(['deploy', 'ci']);
+    const ranged = await client.readResource({ uri: 'ntfy://inbox?afterId=ci&untilId=low' });
+    expect(JSON.parse(ranged.contents[0].text).messages.map((msg) => msg.id)).toEqual(['low']);
+    await expect(client.readResource({ uri: 'ntfy://inbox?title=(' })).rejects.toThrow(/Invalid title pattern/);
+    await expect(client.readResource({ uri: 'ntfy://inbox?message=(a%2B)%2B%24' })).rejects.toThrow(/repeated groups/);
+    await expect(client.readResource({ uri: 'ntfy://inbox?message=(%5Cw%7C%5Cd)%2B%24' })).rejects.toThrow(/repeated groups/);
+    await expect(client.readResource({ uri: 'ntfy://inbox?title=((a%7Cb))%2B' })).rejects.toThrow(/repeated groups/);
+    const tooLong = await client.callTool({
+      name: 'wait-and-read-inbox',
+      arguments: { timeoutSeconds: 1, filter: { title: 'x'.repeat(201) } }
+    });
+    expect(tooLong.isError).toBe(true);
+    await client.close();
+
+    applyTestConfig({ subscribeFilter: { tags: ['deploy', 'prod'], tagMatch: 'all', minPriority: 4, message: 'failed' } });
+    handleIncoming({ id: 'quiet', event: 'message', time: now + 4, priority: 4, tags: ['deploy', 'prod'], message: 'deploy ok' });
+    expect(recentMessages[0].id).toBe('deploy');
+    stopSubscription();
+    ensureSubscription();
+    const subscribeUrl = await vi.waitFor(() => {
+      const url = fetchMock.mock.calls.map(([call]) => String(call)).find((call) => call.includes('/json'));
+      if (!url) throw new Error('subscription not opened yet');
+      return url;
+    });
+    // Pushing tags or priority down to ntfy would also drop replies to questions
+    expect(new URL(subscribeUrl).searchParams.has('tags')).toBe(false);
+    expect(new URL(subscribeUrl).searchParams.has('priority')).toBe(false);
+  });
+
+  it('lets replies to open questions through the subscribe filter', async () => {
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (init.method === 'POST') {
+        return { ok: true, status: 200, json: () => Promise.resolve({ id: 'ask', time: 100 }) };
+      }
+      return { ok: true, status: 200, body: null };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming, applyTestConfig, recentMessages } = await import('../src/server.js');
+    applyTestConfig({ subscribeFilter: { minPriority: 4 } });
+    const client = await connectClient(mcpServer);
+    setTimeout(() => {
+      const { tags } = JSON.parse(fetchMock.mock.calls.find(([, init]) => init?.method === 'POST')[1].body);
+      handleIncoming({ id: 'chatter', event: 'message', time: 101, message: 'lunch?' });
+      handleIncoming({ id: 'reply', event: 'message', time: 102, message: `${tags[1]}: ship it` });
+    }, 50);
+    const result = await client.callTool({ name: 'ask-user', arguments: { question: 'Ship?', timeoutSeconds: 5 } });
+    await client.close();
+
+    expect(result.structuredContent).toMatchObject({ status: 'answered', answer: 'ship it' });
+    expect(recentMessages.map((msg) => msg.id)).not.toContain('chatter');
+  });
+
+  it('tracks acknowledged messages and returns only unacknowledged ones on request', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200, body: null })));
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    for (const [index, id] of ['first', 'second', 'third'].entries()) {
+      handleIncoming({ id, event: 'message', time: 100 + index, message: `reply ${index + 1}` });
+    }
+    const unread = async () => (await client.callTool({ name: 'wait-and-read-inbox', arguments: { unacknowledgedOnly: true, timeoutSeconds: 1 } })).structuredContent;
+
+    expect((await unread()).messages.map((msg) => msg.id)).toEqual(['third', 'second', 'first']);
+    const acked = await client.callTool({ name: 'ack-messages', arguments: { upToId: 'second' } });
+    expect(acked.structuredContent).toEqual({ affected: 2, unreadCount: 1 });
+    expect((await unread()).messages).toEqual([expect.objectContaining({ id: 'third', acknowledged: false })]);
+
+    await client.callTool({ name: 'ack-messages', arguments: { ids: ['third'] } });
+    expect(await unread()).toMatchObject({ newCount: 0, timedOut: true });
+    await client.callTool({ name: 'ack-messages', arguments: { ids: ['first'], action: 'unack' } });
+    const inbox = JSON.parse((await client.readResource({ uri: 'ntfy://inbox' })).contents[0].text);
+    await client.close();
+    expect(inbox.unreadCount).toBe(1);
+    expect(inbox.messages.map((msg) => msg.acknowledged)).toEqual([true, true, false]);
+    expect(Object.keys(JSON.parse(fs.readFileSync(path.join(tempDir, 'nfty-acks.json'), 'utf8'))).sort()).toEqual(['second', 'third']);
+  });
+
+  it('searches message history with phrases, filters, pagination and the server backlog', async () => {
+    const backlog = [
+      { id: 'old', event: 'message', time: 50, topic: 'test-topic', message: 'Deploy of api server finished' },
+      { id: 'keepalive', event: 'keepalive', time: 60 },
+      { id: 'b', event: 'message', time: 200, topic: 'test-topic', message: 'duplicate of a local message' }
+    ];
+    const fetchMock = vi.fn(async (url) =>
+      String(url).includes('since=all&poll=1')
+        ? { ok: true, status: 200, text: () => Promise.resolve(backlog.map((msg) => JSON.stringify(msg)).join('\n')) }
+        : { ok: true, status: 200, body: null }
+    );
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { mcpServer, handleIncoming } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    handleIncoming({ id: 'a', event: 'message', time: 100, topic: 'test-topic', title: 'Deploy', message: 'Rolling out the api server to prod', tags: ['deploy'], priority: 4 });
+    handleIncoming({ id: 'b', event: 'message', time: 200, topic: 'test-topic', message: 'Deploy the api to staging?', priority: 2 });
+    handleIncoming({ id: 'c', event: 'message', time: 300, topic: 'other', message: 'api server deploy done' });
+    const search = async (args) => (await client.callTool({ name: 'search-messages', arguments: args })).structuredContent;
+
+    const phrase = await search({ query: 'deploy "api server"' });
+    expect(phrase.results.map((result) => result.id)).toEqual(['c', 'a']);
+    expect(phrase.results[1].snippet).toBe('**Deploy** — Rolling out the **api server** to prod');
+
+    const firstPage = await search({ query: 'api', limit: 2 });
+    expect(firstPage).toMatchObject({ total: 3, offset: 0, nextOffset: 2 });
+    const secondPage = await search({ query: 'api', limit: 2, offset: 2 });
+    expect(secondPage).toMatchObject({ total: 3, nextOffset: null, results: [expect.objectContaining({ id: 'a' })] });
+
+    const filtered = await search({ query: 'api', topic: 'test-topic', minPriority: 3, from: 50, to: new Date(250 * 1000).toISOString() });
+    expect(filtered.results.map((result) => result.id)).toEqual(['a']);
+
+    const withServer = await search({ query: '"api server"', includeServer: true });
+    await client.close();
+    expect(withServer.results.map((result) => [result.id, result.source])).toEqual([
+      ['c', 'local'],
+      ['a', 'local'],
+      ['old', 'server']
+    ]);
+    expect(fs.readFileSync(path.join(tempDir, 'nfty-history.jsonl'), 'utf8').trim().split('\n')).toHaveLength(3);
+  });
+
+  it('keeps the history across clean starts unless asked and ignores an invalid history limit', async () => {
+    process.env.NTFY_HISTORY_LIMIT = 'lots';
+    const historyPath = path.join(tempDir, 'nfty-history.jsonl');
+    const writeHistory = () =>
+      fs.writeFileSync(historyPath, ['x', 'y'].map((id) => `${JSON.stringify({ id, time: 1, message: id })}\n`).join(''));
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200, body: null })));
+    const cacheStatus = async () => {
+      const { mcpServer } = await import('../src/server.js');
+      const client = await connectClient(mcpServer);
+      const result = await client.callTool({ name: 'subscription-status', arguments: {} });
+      await client.close();
+      return result.structuredContent.cache;
+    };
+
+    writeHistory();
+    expect(await cacheStatus()).toMatchObject({ historyEntries: 2, historyLimit: 1000 });
+
+    vi.resetModules();
+    process.env.NTFY_CLEAN_HISTORY_ON_STARTUP = 'true';
+    expect(await cacheStatus()).toMatchObject({ historyEntries: 0, historyLimit: 1000 });
+    expect(fs.readFileSync(historyPath, 'utf8')).toBe('');
+  });
+
+  it('reconnects the subscription with backoff and resumes from the last message', async () => {
+    const encoder = new TextEncoder();
+    const stream = (messages, signal) =>
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode(messages.map((msg) => `${JSON.stringify(msg)}\n`).join('')));
+          if (!signal) return controller.close();
+          signal.addEventListener('abort', () => controller.error(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        }
+      });
+    const first = { id: 'm1', event: 'message', time: 100, message: 'one' };
+    const second = { id: 'm2', event: 'message', time: 101, message: 'two' };
+    const connections = [
+      () => ({ ok: true, status: 200, body: stream([first]) }),
+      () => Promise.reject(new TypeError('fetch failed')),
+      (signal) => ({ ok: true, status: 200, body: stream([first, second], signal) })
+    ];
+    const subscribeUrls = [];
+    const fetchMock = vi.fn(async (url, init = {}) => {
+      if (String(url).includes('limit=1')) return { ok: true, status: 200, body: null };
+      subscribeUrls.push(new URL(String(url)));
+      return (connections[subscribeUrls.length - 1] ?? connections[2])(init.signal);
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { applyTestConfig, ensureSubscription, recentMessages } = await import('../src/server.js');
+    applyTestConfig({ reconnectBaseMs: 10, reconnectMaxMs: 20 });
+    ensureSubscription();
+    await vi.waitFor(() => expect(recentMessages.map((msg) => msg.id)).toEqual(['m2', 'm1']));
+
+    expect(subscribeUrls.map((url) => url.searchParams.get('since'))).toEqual([null, 'm1', 'm1']);
+    const state = JSON.parse(fs.readFileSync(path.join(tempDir, 'nfty-subscription-state.json'), 'utf8'));
+    expect(state.reconnects).toMatchObject({ total: 2, consecutiveFailures: 2 });
+    expect(state.reconnects.recent.map((attempt) => [attempt.outcome, attempt.error])).toEqual([
+      ['closed', null],
+      ['error', 'fetch failed']
+    ]);
+  });
+
+  it('reconnects a subscription whose keepalives stop and records connection health', async () => {
+    const encoder = new TextEncoder();
+    const halfOpen = (signal) =>
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode(`${JSON.stringify({ id: 'o1', event: 'open', time: 100 })}\n`));
+          controller.enqueue(encoder.encode(`${JSON.stringify({ id: 'm1', event: 'message', time: 101, message: 'hi' })}\n`));
+          controller.enqueue(encoder.encode(`${JSON.stringify({ id: 'k1', event: 'keepalive', time: 102 })}\n`));
+          signal.addEventListener('abort', () => controller.error(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        }
+      });
+    let subscribes = 0;
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url, init = {}) => {
+        if (String(url).includes('limit=1')) return { ok: true, status: 200, body: null };
+        subscribes += 1;
+        return { ok: true, status: 200, body: halfOpen(init.signal) };
+      })
+    );
+
+    const { applyTestConfig, ensureSubscription, stopSubscription } = await import('../src/server.js');
+    applyTestConfig({ keepaliveIntervalSeconds: 0.02, keepaliveStaleFactor: 2, reconnectBaseMs: 10, reconnectMaxMs: 20 });
+    ensureSubscription();
+    const statePath = path.join(tempDir, 'nfty-subscription-state.json');
+    await vi.waitFor(() => expect(JSON.parse(fs.readFileSync(statePath, 'utf8')).reconnects.total).toBeGreaterThan(0));
+    stopSubscription();
+
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    expect(subscribes).toBeGreaterThan(0);
+    expect(state.reconnects.recent[0]).toMatchObject({ outcome: 'error', error: 'Subscription stale: no keepalive for 0.04s' });
+    expect(state.health).toMatchObject({ connectedSince: null, lastError: 'Subscription stale: no keepalive for 0.04s' });
+    expect(state.health.lastKeepaliveAt).toEqual(expect.any(String));
+    expect(state.health.lastMessageAt).toEqual(expect.any(String));
+    expect(state.health.lastErrorAt).toEqual(expect.any(String));
+  });
+
+  it('reports subscription status through the tool and the ntfy://status resource', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url) => {
+        if (String(url).includes('/json')) return { ok: true, status: 200, body: null };
+        return { ok: false, status: 429, text: () => Promise.resolve('limit'), headers: new Headers() };
+      })
+    );
+
+    const { mcpServer, handleIncoming, publishOrQueue } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    const updates = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updates.push(notification.params.uri);
+    });
+
+    handleIncoming({ id: 'a', event: 'message', time: 100, message: 'hello' });
+    handleIncoming({ id: 'a', event: 'message', time: 100, message: 'hello' });
+    await publishOrQueue({ topic: 'test-topic', message: 'out' });
+    await vi.waitFor(() => expect(updates).toContain('ntfy://status'));
+
+    const result = await client.callTool({ name: 'subscription-status', arguments: {} });
+    const resource = JSON.parse((await client.readResource({ uri: 'ntfy://status' })).contents[0].text);
+    await client.close();
+
+    const status = result.structuredContent;
+    expect(status).toMatchObject({
+      topics: ['test-topic'],
+      subscription: { state: 'stopped', id: null, reconnects: 0 },
+      messages: { received: 1, duplicates: 1, filtered: 0, unread: 1 },
+      publishing: { sent: 0, failed: 1, queued: 1, rateLimited: 1, outboxPending: 1 },
+      cache: { messages: 1, historyEntries: 1 },
+      paths: { cache: path.join(tempDir, 'cache.json'), history: path.join(tempDir, 'nfty-history.jsonl') }
+    });
+    expect(status.cache.cacheFileBytes).toBeGreaterThan(0);
+    expect(result.content[0].text).toMatch(/^Subscription stopped for test-topic/);
+    expect(resource).toEqual(status);
+  });
+
+  it('streams the subscription over the json, sse and ws transports', async () => {
+    const standIn = await startNtfyStandIn();
+    try {
+      const { mcpServer, applyTestConfig, ensureSubscription, stopSubscription, recentMessages } = await import('../src/server.js');
+      applyTestConfig({ baseUrl: standIn.baseUrl });
+      const client = await connectClient(mcpServer);
+
+      ensureSubscription();
+      await vi.waitFor(() => expect(recentMessages.map((msg) => msg.id)).toEqual(['json-1']));
+      for (const transport of ['sse', 'ws']) {
+        const result = await client.callTool({ name: 'set-subscription-transport', arguments: { transport } });
+        expect(result.structuredContent.transport).toBe(transport);
+        await vi.waitFor(() => expect(recentMessages[0].id).toBe(`${transport}-1`));
+      }
+      const status = (await client.callTool({ name: 'subscription-status', arguments: {} })).structuredContent;
+      stopSubscription();
+      await client.close();
+
+      expect(recentMessages.map((msg) => [msg.id, msg.message])).toEqual([
+        ['ws-1', 'via ws'],
+        ['sse-1', 'via sse'],
+        ['json-1', 'via json']
+      ]);
+      const subscribes = standIn.requests.filter(({ url }) => !url.searchParams.has('limit'));
+      expect(subscribes.map(({ url }) => [url.pathname, url.searchParams.get('since')])).toEqual([
+        ['/test-topic/json', null],
+        ['/test-topic/sse', 'json-1'],
+        ['/test-topic/ws', 'sse-1']
+      ]);
+      expect(subscribes.every(({ authorization }) => authorization === 'Bearer secret')).toBe(true);
+      expect(status).toMatchObject({ transport: 'ws', subscription: { state: 'connected' } });
+    } finally {
+      await standIn.close();
+    }
+  });
+
+  it('subscribes to several topics at once and filters by topic', async () => {
+    process.env.NTFY_TOPICS = 'team';
+    const subscribePaths = [];
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url, init = {}) => {
+        const parsed = new URL(String(url));
+        if (parsed.searchParams.has('limit')) return { ok: true, status: 200, body: null };
+        subscribePaths.push(decodeURIComponent(parsed.pathname));
+        const body = new ReadableStream({
+          start(controller) {
+            init.signal?.addEventListener('abort', () => controller.error(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+          }
+        });
+        return { ok: true, status: 200, body };
+      })
+    );
+
+    const { mcpServer, handleIncoming, ensureSubscription } = await import('../src/server.js');
+    const client = await connectClient(mcpServer);
+    ensureSubscription();
+    await vi.waitFor(() => expect(subscribePaths).toEqual(['/test-topic,team/json']));
+
+    const added = await client.callTool({ name: 'add-ntfy-topic', arguments: { topic: 'ci' } });
+    expect(added.structuredContent).toEqual({ topic: 'ci', topics: ['test-topic', 'team', 'ci'], changed: true });
+    await vi.waitFor(() => expect(subscribePaths.at(-1)).toBe('/test-topic,team,ci/json'));
+
+    handleIncoming({ id: 'a', event: 'message', time: 100, topic: 'test-topic', message: 'reply' });
+    handleIncoming({ id: 'b', event: 'message', time: 101, topic: 'team', message: 'standup' });
+    handleIncoming({ id: 'c', event: 'message', time: 102, topic: 'ci', message: 'build failed' });
+    const inbox = JSON.parse((await client.readResource({ uri: 'ntfy://inbox?topics=ci,team' })).contents[0].text);
+    const waited = await client.callTool({
+      name: 'wait-and-read-inbox',
+      arguments: { unacknowledgedOnly: true, timeoutSeconds: 1, filter: { topics: ['test-topic'] } }
+    });
+
+    const removed = await client.callTool({ name: 'remove-ntfy-topic', arguments: { topic: 'team' } });
+    await vi.waitFor(() => expect(subscribePaths.at(-1)).toBe('/test-topic,ci/json'));
+    const primary = await client.callTool({ name: 'remove-ntfy-topic', arguments: { topic: 'test-topic' } });
+    await client.close();
+
+    expect(inbox.topics).toEqual(['test-topic', 'team', 'ci']);
+    expect(inbox.messages.map((msg) => [msg.id, msg.topic])).toEqual([
+      ['c', 'ci'],
+      ['b', 'team']
+    ]);
+    expect(waited.structuredContent.messages.map((msg) => msg.id)).toEqual(['a']);
+    expect(waited.content[0].text).toContain('Topic: test-topic');
+    expect(removed.structuredContent).toEqual({ topic: 'team', topics: ['test-topic', 'ci'], changed: true });
+    expect(primary.isError).toBe(true);
+    expect(primary.content[0].text).toMatch(/use set-ntfy-topic/);
+  });
+
+  it('does not queue publishes the server rejected outright', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn().mockResolvedValue({ ok: false, status: 400, text: () => Promise.resolve('bad request') })
+    );
+
+    const { publishOrQueue, outbox } = await import('../src/server.js');
+    await expect(publishOrQueue({ topic: 'custom', message: 'nope' })).rejects.toThrow(/\(400\)/);
+    expect(outbox).toHaveLength(0);
+  });
+
   it('stores inbound messages and wakes waiters', async () => {
     const module = await import('../src/server.js');
     const { handleIncoming, waitForNewMessages, recentMessages, getMessageVersion } = module;